@@ -0,0 +1,132 @@
+// Threshold alert rules, edited on the options page and checked by the
+// background script. A rule fires once when its metric crosses the threshold,
+// then stays disarmed until the metric moves back past the threshold by the
+// metric's re-arm margin, so a price hovering around it does not spam
+// notifications. Rules are synced with the browser profile; whether each one
+// is armed is kept in local storage.
+
+const ALERT_RULES_KEY = "alertRules";
+const ALERT_STATE_KEY = "alertState";
+
+// Metrics a rule can watch. `rearmMargin` is how far back past the threshold
+// the metric must move before the rule can fire again. All but the spot price
+// need a saved summary.
+const ALERT_METRICS = {
+    price: {
+        label: "BTC price",
+        needsSummary: false,
+        rearmMargin: (threshold) => Math.abs(threshold) * 0.01,
+    },
+    value: {
+        label: "Portfolio value",
+        needsSummary: true,
+        rearmMargin: (threshold) => Math.abs(threshold) * 0.01,
+    },
+    netProfit: {
+        label: "Net profit",
+        needsSummary: true,
+        rearmMargin: (threshold) => Math.max(Math.abs(threshold) * 0.01, 1),
+    },
+    percent: {
+        label: "Net profit %",
+        needsSummary: true,
+        rearmMargin: () => 1,
+    },
+};
+
+const ALERT_DIRECTIONS = { above: "rises above", below: "falls below" };
+
+// Drop malformed rules and fill in defaults.
+const normalizeAlertRules = (rules) =>
+    (Array.isArray(rules) ? rules : [])
+        .filter((rule) => ALERT_METRICS[rule?.metric] && ALERT_DIRECTIONS[rule?.direction])
+        .filter((rule) => Number.isFinite(Number(rule.threshold)))
+        .map((rule) => ({
+            id: String(rule.id),
+            metric: rule.metric,
+            direction: rule.direction,
+            threshold: Number(rule.threshold),
+            enabled: rule.enabled !== false,
+        }));
+
+const loadAlertRules = async () => {
+    try {
+        const { [ALERT_RULES_KEY]: rules } = await browser.storage.sync.get(ALERT_RULES_KEY);
+        return normalizeAlertRules(rules);
+    } catch (error) {
+        console.warn("Failed to load alert rules:", error);
+        return [];
+    }
+};
+
+const saveAlertRules = async (rules) => {
+    const normalized = normalizeAlertRules(rules);
+    await browser.storage.sync.set({ [ALERT_RULES_KEY]: normalized });
+    return normalized;
+};
+
+// Per-rule armed flags, kept locally since they describe this browser's view.
+const loadAlertState = async () => {
+    try {
+        const { [ALERT_STATE_KEY]: state } = await browser.storage.local.get(ALERT_STATE_KEY);
+        return state ?? {};
+    } catch (error) {
+        console.warn("Failed to load alert state:", error);
+        return {};
+    }
+};
+
+const saveAlertState = async (state) => {
+    try {
+        await browser.storage.local.set({ [ALERT_STATE_KEY]: state });
+    } catch (error) {
+        console.warn("Failed to save alert state:", error);
+    }
+};
+
+// Describe a rule for lists and notifications, e.g. "BTC price rises above 100000".
+const describeAlertRule = (rule) =>
+    `${ALERT_METRICS[rule.metric].label} ${ALERT_DIRECTIONS[rule.direction]} ` +
+    `${rule.threshold}${rule.metric === "percent" ? "%" : ""}`;
+
+// Current values of every metric: the spot price plus, with a saved summary
+// snapshot, the revalued portfolio figures.
+const computeAlertMetrics = (price, snapshot) => {
+    if (!snapshot) return { price };
+    const totals = revalueSummarySnapshot(snapshot, price);
+    return { price, value: totals.currentValue, netProfit: totals.netProfit, percent: totals.percent };
+};
+
+// Check enabled rules against `metrics`. Returns the rules that fire now and
+// the new armed state. A rule seen for the first time is armed only while its
+// condition does not hold yet, so saving a rule that is already past its
+// threshold waits for an actual crossing. Rules whose metric is missing are
+// left untouched.
+const evaluateAlertRules = (rules, metrics, state = {}) => {
+    const nextState = {};
+    const fired = [];
+
+    rules.forEach((rule) => {
+        const previous = state[rule.id];
+        const value = metrics[rule.metric];
+        if (!rule.enabled || !Number.isFinite(value)) {
+            if (previous) nextState[rule.id] = previous;
+            return;
+        }
+
+        const margin = ALERT_METRICS[rule.metric].rearmMargin(rule.threshold);
+        const crossed = rule.direction === "above" ? value > rule.threshold : value < rule.threshold;
+        const reset =
+            rule.direction === "above" ? value < rule.threshold - margin : value > rule.threshold + margin;
+        const armed = previous?.armed ?? !crossed;
+
+        if (armed && crossed) {
+            fired.push({ rule, value });
+            nextState[rule.id] = { armed: false };
+        } else {
+            nextState[rule.id] = { armed: armed || reset };
+        }
+    });
+
+    return { fired, nextState };
+};
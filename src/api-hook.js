@@ -0,0 +1,87 @@
+// Runs in the page's own JavaScript world so it can see the JSON responses
+// Strike's dashboard fetches for its transaction lists, and relays them to the
+// content script with window.postMessage. The background script only
+// registers it while transactions are read from the API. Parsing happens in
+// api.js; nothing here can reach the extension APIs or the other scripts,
+// which live in the content script's isolated world.
+
+(() => {
+    // Matches API_CAPTURE_SOURCE in api.js.
+    const MESSAGE_SOURCE = "strike-profit-tracker:api";
+    // Responses are kept so a content script that starts after the first lists
+    // were fetched can ask for them again. A page that falls out of the buffer
+    // leaves a gap in its list, which api.js then does not treat as complete.
+    const MAX_BUFFERED_RESPONSES = 200;
+    const buffered = [];
+
+    // Paths of the endpoints that may return transaction lists. Other
+    // responses, such as profile or balance data, are never relayed or kept.
+    const LIST_PATH = /transaction|activit|trade|exchange|deposit|withdraw|receive|send|payment|histor/i;
+
+    // Whether a URL is one of Strike's transaction list endpoints.
+    const isListUrl = (url) => {
+        try {
+            const { hostname, pathname } = new URL(url, location.href);
+            return (hostname === "strike.me" || hostname.endsWith(".strike.me")) && LIST_PATH.test(pathname);
+        } catch {
+            return false;
+        }
+    };
+
+    const relay = (url, body) => {
+        const message = { source: MESSAGE_SOURCE, type: "RESPONSE", url, body };
+        buffered.push(message);
+        if (buffered.length > MAX_BUFFERED_RESPONSES) buffered.shift();
+        window.postMessage(message, location.origin);
+    };
+
+    // Relay a response body when it is JSON from a transaction list endpoint.
+    const relayText = (url, contentType, text) => {
+        if (!isListUrl(url) || !/json/i.test(contentType ?? "")) return;
+        try {
+            relay(url, JSON.parse(text));
+        } catch {
+            // Not JSON after all; nothing to relay.
+        }
+    };
+
+    const originalFetch = window.fetch;
+    window.fetch = function (...args) {
+        const [resource] = args;
+        const requestUrl = typeof resource === "string" ? resource : resource?.url ?? String(resource);
+        return originalFetch.apply(this, args).then((response) => {
+            if (response.ok && isListUrl(response.url || requestUrl)) {
+                const url = response.url || requestUrl;
+                response
+                    .clone()
+                    .text()
+                    .then((text) => relayText(url, response.headers.get("content-type"), text))
+                    .catch(() => {});
+            }
+            return response;
+        });
+    };
+
+    const { open, send } = XMLHttpRequest.prototype;
+    XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+        this.strikeProfitUrl = String(url);
+        return open.call(this, method, url, ...rest);
+    };
+    XMLHttpRequest.prototype.send = function (...args) {
+        this.addEventListener("load", () => {
+            if (this.status < 200 || this.status >= 300) return;
+            const url = this.responseURL || this.strikeProfitUrl;
+            if (this.responseType === "json") {
+                if (this.response && isListUrl(url)) relay(url, this.response);
+            } else if (this.responseType === "" || this.responseType === "text") {
+                relayText(url, this.getResponseHeader("content-type"), this.responseText);
+            }
+        });
+        return send.apply(this, args);
+    };
+
+    window.addEventListener("message", (event) => {
+        if (event.source !== window || event.data?.source !== MESSAGE_SOURCE || event.data.type !== "REPLAY") return;
+        buffered.forEach((message) => window.postMessage(message, location.origin));
+    });
+})();
@@ -0,0 +1,308 @@
+// Transactions read from the JSON responses Strike's dashboard fetches for its
+// transaction lists, relayed from the page by api-hook.js. Events have the
+// shape the table scrapers build, so the store and buildSummary treat both
+// alike, but their ids come from Strike's own transaction ids
+// ("trading:api:<id>") instead of the row text.
+//
+// The API is undocumented, so the parser is deliberately loose. A response is
+// used when it holds a list of transactions, as the body itself or under one of
+// API_LIST_KEYS, each looking roughly like
+//   { id, type, state, completed, description, <leg>: { amount, currency } }
+// with a leg per currency moved. Legs named like "sold" or "source" are
+// outgoing, legs named like "fee" are fees, and the type names match the ones
+// in Strike's statements.
+
+const API_CAPTURE_SOURCE = "strike-profit-tracker:api";
+
+// Keys that may hold the transaction list, checked in order and one level
+// deep ({ data: { items: [...] } }). "edges" lists wrap each item in `node`.
+const API_LIST_KEYS = ["items", "data", "transactions", "results", "activities", "edges"];
+
+// Item fields, in order of preference.
+const API_FIELDS = {
+    id: ["id", "transactionId", "entityId"],
+    type: ["type", "transactionType", "kind"],
+    status: ["state", "status"],
+    date: ["completed", "completedAt", "completedTime", "created", "createdAt", "createdTime", "timestamp", "time"],
+    note: ["description", "note", "memo"],
+};
+
+const API_OUTGOING_LEG = /^(sold|source|from|debit|sent|spent|paid)/i;
+const API_FEE_LEG = /fee/i;
+
+// Query parameters that say where in its list a response starts, by kind.
+const API_POSITION_PARAMS = {
+    page: ["page", "pageNumber"],
+    offset: ["offset", "skip"],
+    cursor: ["cursor", "after", "before", "continuationToken", "pageToken"],
+};
+
+// Query parameters that only size or order a page. Any parameter that is
+// neither these nor a position filters the list, which then cannot show that
+// a table is complete.
+const API_NEUTRAL_PARAMS = ["pageSize", "limit", "first", "sort", "sortBy", "order", "orderBy"];
+
+// Body keys holding the cursor of the next page. Relay's `endCursor` is also
+// set on the last page, so it only links pages and never marks the end.
+const API_NEXT_CURSOR_KEYS = ["next", "nextCursor", "nextPageToken", "continuationToken"];
+
+// Stored table for each event type.
+const API_EVENT_TABLES = { trade: "trading", sell: "trading", receive: "receiving", send: "sending" };
+
+// Relayed responses holding a transaction list, by URL, for this page load.
+const capturedApiResponses = new Map();
+
+// The listener for relayed responses while capture runs, else null.
+let apiCaptureListener = null;
+
+const pickApiField = (item, keys) => keys.map((key) => item?.[key]).find((value) => value != null) ?? null;
+
+// Return the transaction list in a response body, or null when it has none.
+const findApiItems = (body, depth = 0) => {
+    if (Array.isArray(body)) {
+        return body.map((item) => item?.node ?? item).filter((item) => item && typeof item === "object");
+    }
+    if (!body || typeof body !== "object" || depth > 1) return null;
+    for (const key of API_LIST_KEYS) {
+        const items = findApiItems(body[key], depth + 1);
+        if (items) return items;
+    }
+    return null;
+};
+
+// Whether a response says it is the last page of its list. Responses that do
+// not say are taken as having more, which keeps the table fallback in play.
+const isLastApiPage = (body) => {
+    const page = body?.pageInfo ?? body ?? {};
+    const flag = ["hasMore", "has_more", "hasNextPage", "hasNext"].find((key) => typeof page[key] === "boolean");
+    if (flag) return !page[flag];
+    const cursor = API_NEXT_CURSOR_KEYS.find((key) => key in page);
+    return cursor ? page[cursor] == null || page[cursor] === "" : false;
+};
+
+// Dates come as ISO strings or epoch seconds or milliseconds.
+const parseApiDate = (value) => {
+    const number = typeof value === "string" && /^\d+$/.test(value) ? Number(value) : value;
+    const time = typeof number === "number" ? (number < 1e12 ? number * 1000 : number) : Date.parse(number);
+    return Number.isFinite(time) ? new Date(time) : null;
+};
+
+// The money legs of an item: every `{ amount, currency }` field, signed
+// negative when money left the account.
+const readApiLegs = (item) =>
+    Object.entries(item)
+        .filter(([, value]) => typeof value?.currency === "string" && Number.isFinite(Number(value.amount)))
+        .map(([name, value]) => ({
+            name,
+            currency: value.currency.toUpperCase(),
+            amount: API_OUTGOING_LEG.test(name) ? -Math.abs(Number(value.amount)) : Number(value.amount),
+            fee: API_FEE_LEG.test(name),
+        }));
+
+// Turn one list item into an event, or null when it did not move BTC or is
+// not settled. Trades are priced by their fiat leg in `currency`, or left for
+// `priceTrades` when they have none; transfers come without a price for
+// `priceTransfers` to fill in.
+const parseApiTransaction = (item, currency = fiatCurrency) => {
+    const id = pickApiField(item, API_FIELDS.id);
+    const status = String(pickApiField(item, API_FIELDS.status) ?? "").toLowerCase();
+    if (id == null || SKIPPED_STATUSES.includes(status)) return null;
+
+    const legs = readApiLegs(item);
+    const btcLeg = legs.find((leg) => leg.currency === "BTC" && !leg.fee);
+    if (!btcLeg?.amount) return null;
+    const fiatLeg = legs.find((leg) => leg.currency === currency && !leg.fee);
+    const sumFees = (code) =>
+        legs.filter((leg) => leg.fee && leg.currency === code).reduce((sum, leg) => sum + Math.abs(leg.amount), 0);
+
+    const type = String(pickApiField(item, API_FIELDS.type) ?? "");
+    const kind = classifyStatementRow(type, btcLeg.amount, fiatLeg?.amount);
+    const timestamp = parseApiDate(pickApiField(item, API_FIELDS.date));
+    const note = String(pickApiField(item, API_FIELDS.note) ?? "").trim();
+    const btc = Math.abs(btcLeg.amount);
+    const fiat = Math.abs(fiatLeg?.amount ?? 0);
+    const eventId = `${API_EVENT_TABLES[kind]}:api:${id}`;
+
+    if (kind === "trade" || kind === "sell") {
+        const price = fiat ? fiat / btc : 0;
+        const priceSource = fiat ? "ratio" : "missing";
+        // Fees charged in BTC are valued at the trade price; trades without a
+        // fiat leg keep their BTC fee for `priceTrades` to value.
+        const feeBTC = sumFees("BTC");
+        const feeFiat = sumFees(currency) + feeBTC * price;
+        const event = kind === "sell"
+            ? {
+                id: eventId,
+                type: "sell",
+                timestamp,
+                amountBTC: -btc,
+                exitPrice: price,
+                priceSource,
+                proceedsUSD: fiat || price * btc,
+                feeFiat,
+            }
+            : { id: eventId, type: "trade", timestamp, amountBTC: btc, entryPrice: price, priceSource, feeFiat };
+        if (!fiat && feeBTC) event.feeBTC = feeBTC;
+        return event;
+    }
+    if (kind !== "receive" && kind !== "send") return null;
+
+    const event = {
+        id: eventId,
+        type: kind,
+        timestamp,
+        amountBTC: kind === "receive" ? btc : -btc,
+        entryPrice: null,
+        priceSource: null,
+    };
+    const feeBTC = kind === "send" ? sumFees("BTC") : 0;
+    if (feeBTC) event.feeBTC = feeBTC;
+    if (note) event.note = note;
+    return event;
+};
+
+// Parse a response body into events per stored table, or null when it holds
+// no transaction list.
+const parseApiTransactions = (body, currency = fiatCurrency) => {
+    const items = findApiItems(body);
+    if (!items) return null;
+    const tables = { trading: [], receiving: [], sending: [] };
+    items.forEach((item) => {
+        const event = parseApiTransaction(item, currency);
+        if (event) tables[API_EVENT_TABLES[event.type]].push(event);
+    });
+    return { ...tables, lastPage: isLastApiPage(body) };
+};
+
+// Identify the list a response belongs to: its URL without position, size
+// and order parameters.
+const getApiListKey = (url) => {
+    const parsed = new URL(url, location.href);
+    [...Object.values(API_POSITION_PARAMS).flat(), ...API_NEUTRAL_PARAMS].forEach((param) =>
+        parsed.searchParams.delete(param)
+    );
+    return `${parsed.origin}${parsed.pathname}?${parsed.searchParams}`;
+};
+
+// Whether a list key still has query parameters, which filter the list.
+const isFilteredApiList = (key) => new URL(key).searchParams.toString() !== "";
+
+// Where a response starts in its list, from its URL: a page number, an
+// offset or a cursor, each null when not given.
+const getApiPagePosition = (url) => {
+    const params = new URL(url, location.href).searchParams;
+    const find = (names) => names.map((name) => params.get(name)).find((value) => value) ?? null;
+    const page = find(API_POSITION_PARAMS.page);
+    const offset = find(API_POSITION_PARAMS.offset);
+    return {
+        page: page == null ? null : Number(page),
+        offset: offset == null ? null : Number(offset),
+        cursor: find(API_POSITION_PARAMS.cursor),
+    };
+};
+
+// Where the page after a response starts, when its body says: a cursor, or a
+// URL or query string for the next request.
+const getApiNextPosition = (body) => {
+    const info = body?.pageInfo ?? body ?? {};
+    const next = [...API_NEXT_CURSOR_KEYS, "endCursor"]
+        .map((key) => info[key])
+        .find((value) => typeof value === "string" && value);
+    if (!next) return null;
+    return /^(https?:\/\/|\/|\?)/.test(next) ? getApiPagePosition(next) : { page: null, offset: null, cursor: next };
+};
+
+// Whether `page` is the one right after `previous` in their list. Without a
+// cursor from the body, offsets must continue where the previous page's items
+// ended and page numbers must go up by one; a first page without a number is
+// only followed by page 1.
+const isNextApiPage = (previous, page) => {
+    const expected = getApiNextPosition(previous.body);
+    const { position } = page;
+    if (expected?.cursor) return position.cursor === expected.cursor;
+    if (expected?.offset != null) return position.offset === expected.offset;
+    if (expected?.page != null) return position.page === expected.page;
+    if (position.cursor) return false;
+    if (position.offset != null) return position.offset === (previous.position.offset ?? 0) + previous.count;
+    if (position.page != null) return position.page === (previous.position.page ?? 0) + 1;
+    return false;
+};
+
+// Whether the captured pages of one list run from its first page to its last
+// with none missing. The first page has no position, or starts at page 0 or
+// offset 0; failing those, page 1 is taken as the first.
+const isCompleteApiList = (pages) => {
+    const isStart = ({ position: { page, offset, cursor } }) =>
+        !cursor && (page ?? 0) === 0 && (offset ?? 0) === 0;
+    let current = pages.find(isStart) ?? pages.find(({ position }) => !position.cursor && position.page === 1);
+    const visited = new Set();
+    while (current && !visited.has(current)) {
+        if (current.lastPage) return true;
+        visited.add(current);
+        const previous = current;
+        current = pages.find((page) => !visited.has(page) && isNextApiPage(previous, page));
+    }
+    return false;
+};
+
+// Gather the events of every captured response, per stored table. A table is
+// `complete` once an unfiltered list holding its transactions has been
+// captured from its first page to its last with no page missing; lists with a
+// gap, for example pages dropped from the hook's buffer, do not count.
+const collectApiTransactions = (currency = fiatCurrency) => {
+    const lists = new Map();
+    capturedApiResponses.forEach((body, url) => {
+        const parsed = parseApiTransactions(body, currency);
+        if (!parsed) return;
+        const key = getApiListKey(url);
+        const page = {
+            body,
+            parsed,
+            position: getApiPagePosition(url),
+            count: findApiItems(body).length,
+            lastPage: parsed.lastPage,
+        };
+        lists.set(key, [...(lists.get(key) ?? []), page]);
+    });
+
+    return Object.fromEntries(
+        TRANSACTION_TABLES.map((name) => {
+            const events = new Map();
+            let complete = false;
+            lists.forEach((pages, key) => {
+                if (!pages.some((page) => page.parsed[name].length)) return;
+                pages.forEach((page) => page.parsed[name].forEach((event) => events.set(event.id, event)));
+                complete ||= !isFilteredApiList(key) && isCompleteApiList(pages);
+            });
+            return [name, { events: [...events.values()], complete }];
+        })
+    );
+};
+
+// Start collecting the responses relayed by api-hook.js. `onCapture` is called
+// whenever a transaction list arrives or changes. The hook is asked to relay
+// again whatever it saw before this script loaded.
+const startApiCapture = (onCapture) => {
+    if (apiCaptureListener) return;
+    apiCaptureListener = (event) => {
+        const { data } = event;
+        if (event.source !== window || data?.source !== API_CAPTURE_SOURCE || data.type !== "RESPONSE") return;
+        if (typeof data.url !== "string" || !findApiItems(data.body)) return;
+
+        const previous = capturedApiResponses.get(data.url);
+        capturedApiResponses.set(data.url, data.body);
+        if (previous && JSON.stringify(previous) === JSON.stringify(data.body)) return;
+        debug(`Captured transaction list from ${data.url}`);
+        onCapture(data.url);
+    };
+    window.addEventListener("message", apiCaptureListener);
+    window.postMessage({ source: API_CAPTURE_SOURCE, type: "REPLAY" }, location.origin);
+};
+
+// Stop collecting relayed responses and drop the ones kept so far.
+const stopApiCapture = () => {
+    if (!apiCaptureListener) return;
+    window.removeEventListener("message", apiCaptureListener);
+    apiCaptureListener = null;
+    capturedApiResponses.clear();
+};
@@ -1,36 +1,206 @@
-// Background script: supplies the current BTC/USD price to content scripts
-// by querying Coindesk.
+// Background script: supplies the current BTC price in the account's fiat
+// currency to content scripts and pages through the multi-provider price
+// service, pushes live prices to subscribed pages, resolves batched historical
+// and daily price lookups, keeps the toolbar badge current, raises threshold
+// alerts and registers the API hook when transactions are read from the API.
 
-// Attempt to load the WebExtension polyfill. Firefox loads it via the manifest,
-// so a direct import there would throw and can be ignored.
+// Attempt to load the WebExtension polyfill and the price modules. Firefox
+// loads them via the manifest, so a direct import there would throw and can be
+// ignored.
 try {
-  importScripts("vendor/browser-polyfill.js");
+  importScripts(
+    "vendor/browser-polyfill.js",
+    "settings.js",
+    "snapshot.js",
+    "alerts.js",
+    "price-service.js",
+    "historical-prices.js",
+    "badge.js"
+  );
 } catch {
-  // If the polyfill is already present (e.g. Firefox), ignore the failure.
+  // If the scripts are already present (e.g. Firefox), ignore the failure.
 }
 
-// Endpoint that returns the latest BTC price from Coindesk.
-const COINDESK_URL =
-  "https://data-api.coindesk.com/spot/v1/latest/tick?market=kraken&instruments=BTC-USD&apply_mapping=true";
+// Provider order and mode from the options page.
+const loadPriceServiceOverrides = async () => {
+  const { priceProviders, priceMode } = await loadSettings();
+  return { providers: priceProviders, mode: priceMode };
+};
 
-// Listen for requests from the content script.
-browser.runtime.onMessage.addListener(async (message) => {
-  // Ignore messages unrelated to price queries.
-  if (message?.type !== "GET_BTC_PRICE") return;
+const priceService = createPriceService(loadPriceServiceOverrides);
 
+// Handlers for each message type the content script and pages send.
+const MESSAGE_HANDLERS = {
+  GET_BTC_PRICE: async (message) => {
+    try {
+      // Return the price along with which provider supplied it and when.
+      const { price, currency, provider, timestamp } = await priceService.getQuote({
+        force: Boolean(message.force),
+        currency: message.currency ?? "USD",
+      });
+      return { price, currency, provider, timestamp };
+    } catch (error) {
+      console.error("Failed to fetch BTC price from background:", error);
+      // Signal failure to the caller.
+      return { error: true };
+    }
+  },
+
+  GET_HISTORICAL_BTC_PRICES: async (message) => {
+    try {
+      const { historicalWindowMinutes } = await loadSettings();
+      const prices = await getHistoricalPrices(message.timestamps ?? [], {
+        currency: message.currency ?? "USD",
+        windowMinutes: historicalWindowMinutes,
+      });
+      return { prices };
+    } catch (error) {
+      console.error("Failed to fetch historical BTC prices from background:", error);
+      return { error: true };
+    }
+  },
+
+  GET_DAILY_BTC_PRICES: async (message) => {
+    try {
+      const prices = await getDailyPrices(message.start, message.end ?? Date.now(), {
+        currency: message.currency ?? "USD",
+      });
+      return { prices };
+    } catch (error) {
+      console.error("Failed to fetch daily BTC prices from background:", error);
+      return { error: true };
+    }
+  },
+};
+
+// Listen for requests from the content script. Unknown messages get no
+// response so other listeners can answer them.
+browser.runtime.onMessage.addListener((message) => {
+  const handler = MESSAGE_HANDLERS[message?.type];
+  if (!handler) return undefined;
+  return handler(message);
+});
+
+// Shortest push interval accepted from a subscriber.
+const MIN_PRICE_PUSH_INTERVAL_MS = 10 * 1000;
+
+// Push spot prices to pages that connect on the "PRICE_UPDATES" port. Each
+// SUBSCRIBE message (re)starts the timer with its currency and interval; the
+// timer stops when the page disconnects.
+browser.runtime.onConnect.addListener((port) => {
+  if (port.name !== "PRICE_UPDATES") return;
+  let timer = null;
+
+  port.onMessage.addListener((message) => {
+    if (message?.type !== "SUBSCRIBE") return;
+    clearInterval(timer);
+
+    const currency = message.currency ?? "USD";
+    const intervalMs = Math.max(MIN_PRICE_PUSH_INTERVAL_MS, Number(message.intervalMs) || 0);
+    timer = setInterval(async () => {
+      try {
+        const { price, provider, timestamp } = await priceService.getQuote({ currency });
+        port.postMessage({ type: "PRICE_UPDATE", price, currency, provider, timestamp });
+      } catch (error) {
+        console.warn("Failed to push live BTC price:", error);
+      }
+    }, intervalMs);
+  });
+
+  port.onDisconnect.addListener(() => clearInterval(timer));
+});
+
+// Periodic work that should continue with no Strike tab open runs on this
+// alarm: refreshing the badge and checking alert rules.
+const REFRESH_ALARM = "refresh";
+const REFRESH_PERIOD_MINUTES = 1;
+
+// Create the alarm unless it already exists, so a restarted service worker
+// keeps the existing schedule.
+const ensureRefreshAlarm = async () => {
+  const existing = await browser.alarms.get(REFRESH_ALARM);
+  if (!existing) browser.alarms.create(REFRESH_ALARM, { periodInMinutes: REFRESH_PERIOD_MINUTES });
+};
+
+const getSpotPrice = async (currency) => (await priceService.getQuote({ currency })).price;
+
+// Check alert rules against the spot price and the saved summary, and show a
+// notification for each rule that fires.
+const checkAlerts = async () => {
   try {
-    // Retrieve the latest BTC price from Coindesk.
-    const response = await fetch(COINDESK_URL);
-    const data = await response.json();
+    const rules = (await loadAlertRules()).filter((rule) => rule.enabled);
+    if (!rules.length) return;
 
-    // Use optional chaining and fallback to null if missing.
-    const price = data?.Data?.["BTC-USD"]?.PRICE ?? null;
+    const snapshot = await loadSummarySnapshot();
+    const currency = snapshot?.fiatCurrency ?? "USD";
+    const metrics = computeAlertMetrics(await getSpotPrice(currency), snapshot);
+    const { fired, nextState } = evaluateAlertRules(rules, metrics, await loadAlertState());
+    await saveAlertState(nextState);
 
-    // Return the price so the content script can display it.
-    return { price };
+    for (const { rule, value } of fired) {
+      const shown = rule.metric === "percent" ? `${value.toFixed(2)}%` : `${value.toFixed(2)} ${currency}`;
+      await browser.notifications.create(`alert-${rule.id}-${Date.now()}`, {
+        type: "basic",
+        iconUrl: browser.runtime.getURL("icons/icon-48.png"),
+        title: "Strike.me Profit Tracker",
+        message: `${describeAlertRule(rule)} (now ${shown})`,
+      });
+    }
   } catch (error) {
-    console.error("Failed to fetch BTC price from background:", error);
-    // Signal failure to the caller.
-    return { error: true };
+    console.warn("Failed to check alert rules:", error);
   }
+};
+
+browser.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== REFRESH_ALARM) return;
+  refreshBadge({ getPrice: getSpotPrice });
+  checkAlerts();
 });
+
+// api-hook.js wraps the dashboard's fetch and XHR, so it only runs while
+// transactions are read from Strike's API. It has to run in the page's world
+// before the dashboard's first requests; browsers that cannot register it
+// there keep reading the tables.
+const API_HOOK_SCRIPT = {
+  id: "api-hook",
+  matches: ["*://dashboard.strike.me/*"],
+  js: ["api-hook.js"],
+  runAt: "document_start",
+  world: "MAIN",
+};
+
+// Updates run one after another so two quick setting changes cannot both
+// register the hook.
+let apiHookUpdate = Promise.resolve();
+
+// Register or unregister the API hook to match the transaction source setting.
+// Dashboard tabs already open pick the change up when they are reloaded.
+const updateApiHook = () => {
+  apiHookUpdate = apiHookUpdate.then(async () => {
+    try {
+      const { transactionSource } = await loadSettings();
+      const registered = await browser.scripting.getRegisteredContentScripts({ ids: [API_HOOK_SCRIPT.id] });
+      if (transactionSource === "api" && !registered.length) {
+        await browser.scripting.registerContentScripts([API_HOOK_SCRIPT]);
+      } else if (transactionSource !== "api" && registered.length) {
+        await browser.scripting.unregisterContentScripts({ ids: [API_HOOK_SCRIPT.id] });
+      }
+    } catch (error) {
+      console.warn("Failed to update the API hook registration:", error);
+    }
+  });
+  return apiHookUpdate;
+};
+
+// Refresh the badge right away when a page saves a new summary or the badge
+// setting changes, and follow the transaction source setting.
+browser.storage.onChanged.addListener((changes, area) => {
+  if ((area === "local" && changes[SUMMARY_SNAPSHOT_KEY]) || (area === "sync" && changes[SETTINGS_KEY])) {
+    refreshBadge();
+  }
+  if (area === "sync" && changes[SETTINGS_KEY]) updateApiHook();
+});
+
+ensureRefreshAlarm();
+refreshBadge({ getPrice: getSpotPrice });
+updateApiHook();
@@ -0,0 +1,56 @@
+// Toolbar badge for the background script: shows the net profit percent of the
+// last saved summary, revalued at a fresh spot price on the background's
+// periodic alarm so it stays current after the Strike tab is closed.
+
+const BADGE_COLORS = { gain: "#2e7d32", loss: "#c62828" };
+
+// Fit a percentage into the four or so characters a badge can show.
+const formatBadgePercent = (percent) => {
+  const rounded = Math.round(percent);
+  if (Math.abs(rounded) >= 1000) return `${Math.round(rounded / 1000)}k%`;
+  if (Math.abs(percent) < 10 && rounded !== 0) return `${percent.toFixed(1)}%`;
+  return `${rounded}%`;
+};
+
+const clearBadge = async () => {
+  await browser.action.setBadgeText({ text: "" });
+  await browser.action.setTitle({ title: "Strike.me Profit Tracker" });
+};
+
+// Show the snapshot's net profit percent at `price`.
+const renderBadge = async (snapshot, price) => {
+  const totals = revalueSummarySnapshot(snapshot, price);
+  const gain = totals.netProfit >= 0;
+  await browser.action.setBadgeBackgroundColor({ color: gain ? BADGE_COLORS.gain : BADGE_COLORS.loss });
+  await browser.action.setBadgeText({ text: formatBadgePercent(totals.percent) });
+  await browser.action.setTitle({
+    title:
+      `Strike.me Profit Tracker\nNet profit: ${totals.percent.toFixed(2)}% ` +
+      `at ${snapshot.fiatCurrency} ${price.toFixed(2)}/BTC (${new Date().toLocaleTimeString()})`,
+  });
+};
+
+// Redraw the badge. `getPrice(currency)` supplies a fresh spot price; without
+// one the snapshot is shown at the price it was saved with.
+const refreshBadge = async ({ getPrice = null } = {}) => {
+  try {
+    const { showBadge } = await loadSettings();
+    const snapshot = await loadSummarySnapshot();
+    if (!showBadge || !snapshot) {
+      await clearBadge();
+      return;
+    }
+
+    let price = snapshot.currentPrice;
+    if (getPrice) {
+      try {
+        price = await getPrice(snapshot.fiatCurrency);
+      } catch (error) {
+        console.warn("Badge is using the saved price; spot price fetch failed:", error);
+      }
+    }
+    await renderBadge(snapshot, price);
+  } catch (error) {
+    console.warn("Failed to update badge:", error);
+  }
+};
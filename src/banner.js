@@ -0,0 +1,315 @@
+// Profit banner shared by the transactions page and the extension's own pages:
+// totals, P&L lines, the value chart, DCA analytics, the period review, the
+// ledger, open lots, and the report and export controls.
+
+// Where a lot came from: a buy, an external entry, or a receive labelled with
+// its category.
+const lotSourceLabel = (lot) => {
+    if (lot.external) return "External";
+    if (lot.type === "trade") return "Buy";
+    if (lot.category && lot.category !== "purchase") return TRANSFER_CATEGORIES.receive[lot.category] ?? "Receive";
+    return "Receive";
+};
+
+// Build a small table listing the lots that remain open in the ledger.
+const createOpenLotsTable = (lots) => {
+    const tableEl = document.createElement("table");
+    tableEl.className = "strike-profit-lots";
+
+    const headRow = document.createElement("tr");
+    ["Acquired", "Source", "BTC", "Unit Cost", "Basis"].forEach((label) => {
+        const th = document.createElement("th");
+        th.textContent = label;
+        headRow.appendChild(th);
+    });
+    const thead = document.createElement("thead");
+    thead.appendChild(headRow);
+
+    const tbody = document.createElement("tbody");
+    lots.forEach((lot) => {
+        const tr = document.createElement("tr");
+        [
+            lot.acquiredAt ? lot.acquiredAt.toLocaleDateString() : "Unknown",
+            lotSourceLabel(lot),
+            formatBTC(lot.amountBTC),
+            formatFiat(lot.unitCost),
+            formatFiat(lot.unitCost * lot.amountBTC),
+        ].forEach((text) => {
+            const td = document.createElement("td");
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+
+    tableEl.replaceChildren(thead, tbody);
+    return tableEl;
+};
+
+// Build the cost-basis method picker shown at the top of the banner.
+const createMethodSelector = (selected, onChange) => {
+    const label = document.createElement("label");
+    label.className = "strike-profit-method";
+    label.textContent = "Cost Basis Method: ";
+
+    const select = document.createElement("select");
+    Object.entries(COST_BASIS_METHODS).forEach(([value, text]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        option.selected = value === selected;
+        select.appendChild(option);
+    });
+    select.addEventListener("change", () => onChange(select.value));
+
+    label.appendChild(select);
+    return label;
+};
+
+// Build and download the Form 8949 style report for a tax year.
+const downloadTaxReport = (summary, year) => {
+    const report = buildTaxReport(summary.disposals, year);
+    downloadTextFile(`strike-form-8949-${year}.csv`, taxReportToCSV(report, summary.method));
+    log(
+        `Exported ${year} tax report: ${report.rows.length} rows, ` +
+        `short-term ${formatFiat(report.shortTerm.gain)}, long-term ${formatFiat(report.longTerm.gain)}`
+    );
+};
+
+// Build the tax-year picker and download button for the capital gains report.
+const createTaxReportControls = (summary) => {
+    const wrapper = document.createElement("div");
+    wrapper.className = "strike-profit-tax";
+    wrapper.textContent = "Tax Report: ";
+
+    const years = getDisposalYears(summary.disposals);
+    const select = document.createElement("select");
+    years.forEach((year) => {
+        const option = document.createElement("option");
+        option.value = String(year);
+        option.textContent = String(year);
+        select.appendChild(option);
+    });
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = "Download Form 8949 CSV";
+    button.addEventListener("click", () => downloadTaxReport(summary, Number(select.value)));
+
+    if (!years.length) {
+        select.disabled = true;
+        button.disabled = true;
+        button.title = "No disposals to report";
+    }
+
+    wrapper.appendChild(select);
+    wrapper.appendChild(button);
+    return wrapper;
+};
+
+// Build the export format picker and download button for the event ledger.
+const createExportControls = (summary) => {
+    const wrapper = document.createElement("div");
+    wrapper.className = "strike-profit-export";
+    wrapper.textContent = "Export Ledger: ";
+
+    const select = document.createElement("select");
+    Object.entries(EXPORT_FORMATS).forEach(([value, text]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    });
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = "Download";
+    button.disabled = !summary.events.length;
+    button.addEventListener("click", () => {
+        const { filename, content, mimeType } = buildLedgerExport(summary.events, select.value);
+        downloadTextFile(filename, content, mimeType);
+        log(`Exported ${summary.events.length} events as ${EXPORT_FORMATS[select.value]} (${filename})`);
+    });
+
+    wrapper.appendChild(select);
+    wrapper.appendChild(button);
+    return wrapper;
+};
+
+// Build the button that discards stored transactions and rescans every tab.
+const createResyncControl = (onResync) => {
+    const wrapper = document.createElement("div");
+    wrapper.className = "strike-profit-resync";
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = "Full Resync";
+    button.title = "Forget stored transactions and reload every row from all tabs";
+    button.addEventListener("click", () => {
+        button.disabled = true;
+        button.textContent = "Resyncing…";
+        onResync();
+    });
+
+    wrapper.appendChild(button);
+    return wrapper;
+};
+
+// Format a P&L amount with its percentage, colored by sign.
+const profitFigure = (amount, percentValue) => ({
+    text: `${formatFiat(amount)} (${formatPercent(percentValue)})`,
+    color: amount >= 0 ? "green" : "red",
+});
+
+// Banner figures keyed by their `data-figure` attribute, so a new spot price
+// can refresh them in place without rebuilding the banner.
+const BANNER_FIGURES = {
+    value: (summary) => ({ text: `${formatFiat(summary.currentValue)} (${formatBTC(summary.holdingsBTC)})` }),
+    cost: (summary) => ({ text: formatFiat(summary.basisUSD) }),
+    unrealized: (summary) => profitFigure(summary.unrealizedProfit, summary.unrealizedPercent),
+    realized: (summary) => profitFigure(summary.realizedProfit, summary.realizedPercent),
+    net: (summary) => profitFigure(summary.netProfit, summary.percent),
+};
+
+// Refresh every figure in an existing banner from a new summary.
+const updateProfitBanner = (banner, summary) => {
+    banner.querySelectorAll("[data-figure]").forEach((span) => {
+        const { text, color = null } = BANNER_FIGURES[span.dataset.figure](summary);
+        span.textContent = text;
+        if (color) span.style.color = color;
+    });
+};
+
+// Build the live price line: when the price was last updated and a button to
+// pause or resume updates.
+const createLivePriceControl = (onTogglePause) => {
+    const wrapper = document.createElement("div");
+    wrapper.className = "strike-profit-live";
+
+    const status = document.createElement("span");
+    status.dataset.liveStatus = "true";
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.dataset.liveToggle = "true";
+    button.addEventListener("click", () => onTogglePause());
+
+    wrapper.appendChild(status);
+    wrapper.appendChild(button);
+    return wrapper;
+};
+
+// Show the live price state (`{ updatedAt, paused }`) in an existing banner.
+const updateLivePriceStatus = (banner, { updatedAt, paused }) => {
+    const status = banner.querySelector("[data-live-status]");
+    const button = banner.querySelector("[data-live-toggle]");
+    if (!status || !button) return;
+
+    const time = updatedAt ? new Date(updatedAt).toLocaleTimeString() : "never";
+    status.textContent = paused ? `Live prices paused (last updated ${time})` : `Price updated ${time}`;
+    button.textContent = paused ? "Resume" : "Pause";
+};
+
+// Build the banner element showing total value, profit, and holdings.
+// `onMethodChange` is called with the new cost-basis method key when the user
+// picks one; the resync control is only shown when `onResync` is provided and
+// the live price line only when `live` (`{ updatedAt, paused, onTogglePause }`)
+// is. Ledger rows link to their Strike row through `onReveal` when given.
+const createProfitBanner = (
+    summary,
+    { onMethodChange = () => {}, onResync = null, live = null, onReveal = null } = {}
+) => {
+    const banner = document.createElement("div");
+    banner.id = "strike-profit-banner";
+
+    // Render a labelled line whose value is filled from BANNER_FIGURES.
+    const makeFigureLine = (label, figure) => {
+        const div = document.createElement("div");
+        div.style.marginBottom = "0.25em";
+        div.textContent = `${label}: `;
+        const span = document.createElement("span");
+        span.dataset.figure = figure;
+        div.appendChild(span);
+        return div;
+    };
+
+    const valueDiv = makeFigureLine("Total Value", "value");
+    const costDiv = makeFigureLine("Notional Cost", "cost");
+    const unrealizedDiv = makeFigureLine("Unrealized P&L", "unrealized");
+    const realizedDiv = makeFigureLine("Realized P&L", "realized");
+    const profitDiv = makeFigureLine("Net Profit", "net");
+
+    const breakdownDiv = document.createElement("div");
+    breakdownDiv.style.marginTop = "0.25em";
+    breakdownDiv.style.fontSize = "0.95em";
+
+    const makeLine = (text) => {
+        const d = document.createElement("div");
+        d.textContent = text;
+        return d;
+    };
+
+    const { externalBTC } = summary.breakdown;
+    breakdownDiv.replaceChildren(
+        makeLine(`Holdings Breakdown: Trades ${formatBTC(summary.breakdown.tradesBTC)}`),
+        makeLine(` - Sold ${formatBTC(summary.breakdown.soldBTC)}`),
+        makeLine(` + Received ${formatBTC(summary.breakdown.receivedBTC)}`),
+        makeLine(` - Sent ${formatBTC(summary.breakdown.sentBTC)}`),
+        makeLine(` - Network Fees ${formatBTC(summary.breakdown.networkFeesBTC)}`),
+        // Net of manual buys and sells, so it can go either way.
+        makeLine(` ${externalBTC < 0 ? "-" : "+"} External ${formatBTC(Math.abs(externalBTC))}`)
+    );
+    const { selfSentBTC, selfReceivedBTC } = summary.breakdown;
+    if (selfSentBTC || selfReceivedBTC) {
+        breakdownDiv.appendChild(
+            makeLine(
+                `Self-transfers (kept in holdings): out ${formatBTC(selfSentBTC)}, back in ${formatBTC(selfReceivedBTC)}`
+            )
+        );
+    }
+
+    // Fees are valued when paid, so this line does not follow live prices.
+    const { fees } = summary;
+    const feesDiv = document.createElement("div");
+    feesDiv.style.marginBottom = "0.25em";
+    feesDiv.textContent =
+        `Total Fees: ${formatFiat(fees.totalFiat)} (${formatBTC(fees.totalBTC)}) - ` +
+        `trading ${formatFiat(fees.tradingFiat)}, network ${formatBTC(fees.networkBTC)}`;
+
+    // Income is valued when received, like fees.
+    const incomeDiv = document.createElement("div");
+    incomeDiv.style.marginBottom = "0.25em";
+    incomeDiv.textContent = `Transfer Income: ${formatFiat(summary.incomeUSD)}`;
+
+    const lotsDetails = document.createElement("details");
+    lotsDetails.className = "strike-profit-lots-details";
+    const lotsSummary = document.createElement("summary");
+    lotsSummary.textContent = `Open Lots (${summary.openLots.length})`;
+    lotsDetails.appendChild(lotsSummary);
+    if (summary.openLots.length) {
+        lotsDetails.appendChild(createOpenLotsTable(summary.openLots));
+    }
+
+    banner.appendChild(createMethodSelector(summary.method, onMethodChange));
+    banner.appendChild(valueDiv);
+    banner.appendChild(costDiv);
+    banner.appendChild(unrealizedDiv);
+    banner.appendChild(realizedDiv);
+    banner.appendChild(profitDiv);
+    banner.appendChild(feesDiv);
+    if (summary.incomeUSD > 0) banner.appendChild(incomeDiv);
+    banner.appendChild(breakdownDiv);
+    banner.appendChild(createValueChartSection(summary));
+    banner.appendChild(createDcaSection(summary));
+    banner.appendChild(createPeriodSection(summary));
+    banner.appendChild(createLedgerSection(summary, { onReveal }));
+    banner.appendChild(lotsDetails);
+    banner.appendChild(createTaxReportControls(summary));
+    banner.appendChild(createExportControls(summary));
+    if (live) banner.appendChild(createLivePriceControl(live.onTogglePause));
+    if (onResync) banner.appendChild(createResyncControl(onResync));
+
+    updateProfitBanner(banner, summary);
+    if (live) updateLivePriceStatus(banner, live);
+    return banner;
+};
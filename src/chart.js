@@ -0,0 +1,297 @@
+// Value chart for the profit banner: the market value of the holdings against
+// their cumulative cost basis for each day since the first transaction, priced
+// with daily closes from the background script. It is drawn as inline SVG so
+// it needs no charting library and works offline.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CHART_SIZE = { width: 760, height: 240, left: 72, right: 12, top: 12, bottom: 24 };
+const CHART_COLORS = { value: "#f7931a", basis: "#757575", guide: "#9e9e9e" };
+
+// Event markers by timeline entry type; buys are "trade" events.
+const CHART_MARKERS = {
+    trade: { label: "Buy", color: "#2e7d32" },
+    sell: { label: "Sell", color: "#c62828" },
+    receive: { label: "Receive", color: "#1565c0" },
+    send: { label: "Send", color: "#8e24aa" },
+};
+
+// Keep the chart open across banner rebuilds (method change, resync).
+let valueChartOpen = false;
+
+const createSvgElement = (name, attributes = {}) => {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, String(value)));
+    return element;
+};
+
+const startOfDay = (time) => Math.floor(time / DAY_MS) * DAY_MS;
+
+// Short axis labels such as "$12K".
+const formatChartAxis = (value) =>
+    new Intl.NumberFormat(undefined, {
+        style: "currency",
+        currency: fiatCurrency,
+        notation: "compact",
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 1,
+    }).format(value);
+
+// Turn the summary timeline into one point per UTC day from the first dated
+// event to today: holdings and basis at the end of the day, the day's close
+// (the live price today, the last known close when a day has none) and the
+// events that happened that day.
+const buildValueSeries = (timeline, dailyPrices, currentPrice) => {
+    const dated = timeline.filter(
+        (entry) => entry.timestamp instanceof Date && !Number.isNaN(entry.timestamp.getTime())
+    );
+    if (!dated.length) return [];
+
+    const today = startOfDay(Date.now());
+    const series = [];
+    let index = 0;
+    let holdingsBTC = 0;
+    let basisUSD = 0;
+    let price = null;
+
+    for (let day = startOfDay(dated[0].timestamp.getTime()); day <= today; day += DAY_MS) {
+        const events = [];
+        while (index < dated.length && dated[index].timestamp.getTime() < day + DAY_MS) {
+            ({ holdingsBTC, basisUSD } = dated[index]);
+            events.push(dated[index]);
+            index += 1;
+        }
+
+        const close = day === today ? currentPrice : dailyPrices.get(day);
+        if (Number.isFinite(close) && close > 0) price = close;
+        series.push({
+            day,
+            price,
+            holdingsBTC,
+            basisUSD,
+            value: price == null ? null : holdingsBTC * price,
+            events,
+        });
+    }
+
+    return series;
+};
+
+// Path through the points with a value, starting a new segment after gaps.
+const buildChartPath = (points) => {
+    let path = "";
+    let drawing = false;
+    points.forEach((point) => {
+        if (!point) {
+            drawing = false;
+            return;
+        }
+        path += `${drawing ? "L" : "M"}${point.x.toFixed(1)},${point.y.toFixed(1)}`;
+        drawing = true;
+    });
+    return path;
+};
+
+// Describe one day for the readout under the chart.
+const describeChartDay = (point) => {
+    const parts = [
+        new Date(point.day).toLocaleDateString(undefined, { timeZone: "UTC" }),
+        `Value ${point.value == null ? "unknown" : formatFiat(point.value)}`,
+        `Cost basis ${formatFiat(point.basisUSD)}`,
+        `Holdings ${formatBTC(point.holdingsBTC)}`,
+    ];
+    if (point.price != null) parts.push(`BTC ${formatFiat(point.price)}`);
+    point.events.forEach((event) => {
+        const label = event.type === "fee" ? "Network fee" : CHART_MARKERS[event.type]?.label ?? event.type;
+        parts.push(`${label} ${formatBTC(Math.abs(event.amountBTC))}`);
+    });
+    return parts.join(" · ");
+};
+
+// Build the chart for a value series, with a marker for each day that had a
+// buy, sell, receive or send and a readout that follows the pointer.
+const createValueChart = (series) => {
+    const { width, height, left, right, top, bottom } = CHART_SIZE;
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+    const highest = Math.max(1, ...series.map((point) => Math.max(point.value ?? 0, point.basisUSD)));
+    const maxValue = highest * 1.05;
+
+    const lastIndex = series.length - 1;
+    const xFor = (index) => left + (lastIndex > 0 ? (index / lastIndex) * plotWidth : plotWidth / 2);
+    const yFor = (value) => top + plotHeight * (1 - value / maxValue);
+
+    const svg = createSvgElement("svg", {
+        viewBox: `0 0 ${width} ${height}`,
+        role: "img",
+        "aria-label": "Portfolio value and cost basis over time",
+    });
+
+    // Horizontal grid lines with value labels.
+    [0, 0.25, 0.5, 0.75, 1].forEach((fraction) => {
+        const value = highest * fraction;
+        const y = yFor(value);
+        svg.appendChild(
+            createSvgElement("line", { x1: left, x2: width - right, y1: y, y2: y, stroke: "#e0e0e0" })
+        );
+        const label = createSvgElement("text", { x: left - 6, y: y + 4, "text-anchor": "end" });
+        label.textContent = formatChartAxis(value);
+        svg.appendChild(label);
+    });
+
+    // Dates at the start, middle and end of the range.
+    const anchorFor = (index) => {
+        if (lastIndex === 0 || (index > 0 && index < lastIndex)) return "middle";
+        return index === 0 ? "start" : "end";
+    };
+    [...new Set([0, Math.floor(lastIndex / 2), lastIndex])].forEach((index) => {
+        const label = createSvgElement("text", { x: xFor(index), y: height - 6, "text-anchor": anchorFor(index) });
+        label.textContent = new Date(series[index].day).toLocaleDateString(undefined, { timeZone: "UTC" });
+        svg.appendChild(label);
+    });
+
+    svg.appendChild(
+        createSvgElement("path", {
+            d: buildChartPath(series.map((point, index) => ({ x: xFor(index), y: yFor(point.basisUSD) }))),
+            fill: "none",
+            stroke: CHART_COLORS.basis,
+            "stroke-width": 1.5,
+            "stroke-dasharray": "4 3",
+        })
+    );
+    svg.appendChild(
+        createSvgElement("path", {
+            d: buildChartPath(
+                series.map((point, index) => (point.value == null ? null : { x: xFor(index), y: yFor(point.value) }))
+            ),
+            fill: "none",
+            stroke: CHART_COLORS.value,
+            "stroke-width": 2,
+        })
+    );
+
+    // One marker per event type and day, on the value line (or the basis line
+    // before any close is known).
+    series.forEach((point, index) => {
+        [...new Set(point.events.map((event) => event.type))].forEach((type) => {
+            const marker = CHART_MARKERS[type];
+            if (!marker) return;
+            const circle = createSvgElement("circle", {
+                cx: xFor(index),
+                cy: yFor(point.value ?? point.basisUSD),
+                r: 3.5,
+                fill: marker.color,
+                stroke: "#fff",
+            });
+            circle.dataset.marker = type;
+            svg.appendChild(circle);
+        });
+    });
+
+    const guide = createSvgElement("line", { y1: top, y2: top + plotHeight, stroke: CHART_COLORS.guide });
+    guide.style.visibility = "hidden";
+    svg.appendChild(guide);
+
+    const readout = document.createElement("div");
+    readout.className = "strike-profit-chart-readout";
+    const showDay = (index) => {
+        readout.textContent = describeChartDay(series[index]);
+    };
+
+    // Transparent overlay that maps the pointer to the nearest day.
+    const overlay = createSvgElement("rect", {
+        x: left,
+        y: top,
+        width: plotWidth,
+        height: plotHeight,
+        fill: "transparent",
+    });
+    overlay.addEventListener("mousemove", (event) => {
+        const bounds = svg.getBoundingClientRect();
+        const x = ((event.clientX - bounds.left) / (bounds.width || width)) * width;
+        const fraction = Math.min(1, Math.max(0, (x - left) / plotWidth));
+        const index = Math.round(fraction * lastIndex);
+        guide.setAttribute("x1", xFor(index));
+        guide.setAttribute("x2", xFor(index));
+        guide.style.visibility = "visible";
+        showDay(index);
+    });
+    overlay.addEventListener("mouseleave", () => {
+        guide.style.visibility = "hidden";
+        showDay(lastIndex);
+    });
+    svg.appendChild(overlay);
+
+    const legend = document.createElement("div");
+    legend.className = "strike-profit-chart-legend";
+    [
+        ["Value", CHART_COLORS.value],
+        ["Cost basis", CHART_COLORS.basis],
+        ...Object.values(CHART_MARKERS).map(({ label, color }) => [label, color]),
+    ].forEach(([label, color]) => {
+        const item = document.createElement("span");
+        const swatch = document.createElement("span");
+        swatch.className = "strike-profit-chart-swatch";
+        swatch.style.background = color;
+        item.append(swatch, label);
+        legend.appendChild(item);
+    });
+
+    const wrapper = document.createElement("div");
+    wrapper.className = "strike-profit-chart";
+    wrapper.append(svg, legend, readout);
+    showDay(lastIndex);
+    return wrapper;
+};
+
+// Fetch daily closes for the summary's timeline and draw the chart into
+// `container`.
+const renderValueChart = async (container, summary) => {
+    const first = summary.timeline.find((entry) => entry.timestamp instanceof Date);
+    if (!first) {
+        container.textContent = "No dated transactions to chart.";
+        return;
+    }
+
+    container.textContent = "Loading daily prices…";
+    let dailyPrices = new Map();
+    try {
+        dailyPrices = await fetchDailyBTCPrices(first.timestamp);
+    } catch (error) {
+        warn("Failed to load daily prices for the value chart:", error);
+    }
+
+    const series = buildValueSeries(summary.timeline, dailyPrices, summary.currentPrice);
+    if (!series.some((point) => point.value != null)) {
+        container.textContent = `No daily BTC/${fiatCurrency} prices available to chart.`;
+        return;
+    }
+    container.replaceChildren(createValueChart(series));
+    debug(`Drew value chart over ${series.length} days`);
+};
+
+// Build the collapsible chart section for the banner. Daily prices are only
+// fetched once the section is opened.
+const createValueChartSection = (summary) => {
+    const details = document.createElement("details");
+    details.className = "strike-profit-chart-details";
+    const title = document.createElement("summary");
+    title.textContent = "Value vs Cost Basis";
+    const container = document.createElement("div");
+    details.append(title, container);
+
+    let rendered = false;
+    const renderOnce = () => {
+        if (rendered) return;
+        rendered = true;
+        renderValueChart(container, summary);
+    };
+    details.addEventListener("toggle", () => {
+        valueChartOpen = details.open;
+        if (details.open) renderOnce();
+    });
+    if (valueChartOpen) {
+        details.open = true;
+        renderOnce();
+    }
+    return details;
+};
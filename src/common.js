@@ -0,0 +1,151 @@
+// Helpers shared by the content script and the extension pages: logging,
+// the account's fiat currency, parsing of Strike's amount strings, and display
+// formatting.
+
+const LOG_PREFIX = "[Strike Profit]";
+
+// Minimum level written to the console, from the "logLevel" setting.
+let logLevel = DEFAULT_SETTINGS.logLevel;
+const setLogLevel = (level) => {
+    logLevel = Object.prototype.hasOwnProperty.call(LOG_LEVELS, level) ? level : DEFAULT_SETTINGS.logLevel;
+};
+const isLogLevelEnabled = (level) => {
+    const levels = Object.keys(LOG_LEVELS);
+    return levels.indexOf(level) >= levels.indexOf(logLevel);
+};
+
+const log = (...args) => {
+    if (isLogLevelEnabled("info")) console.log(LOG_PREFIX, ...args);
+};
+const debug = (...args) => {
+    if (isLogLevelEnabled("debug")) console.debug(LOG_PREFIX, ...args);
+};
+const warn = (...args) => console.warn(LOG_PREFIX, ...args);
+
+// Fiat currencies a Strike account can be held in. `symbol` labels injected
+// column headers; `symbols` are matched, longest first, to detect the currency
+// from amount text. `locale` is the convention amounts in the currency are
+// written in, which decides whether "1.234" is a thousand or a fraction.
+const FIAT_CURRENCIES = {
+    USD: { symbol: "$", symbols: ["US$", "$"], locale: "en-US" },
+    EUR: { symbol: "€", symbols: ["€"], locale: "de-DE" },
+    GBP: { symbol: "£", symbols: ["£"], locale: "en-GB" },
+    AUD: { symbol: "A$", symbols: ["A$", "AU$"], locale: "en-AU" },
+};
+const DEFAULT_FIAT_CURRENCY = "USD";
+
+// Currency of the account being summarized. Every fiat value the extension
+// parses, computes or formats is in this currency.
+let fiatCurrency = DEFAULT_FIAT_CURRENCY;
+
+const normalizeFiatCurrency = (code) => {
+    const upper = String(code ?? "").toUpperCase();
+    return Object.prototype.hasOwnProperty.call(FIAT_CURRENCIES, upper) ? upper : DEFAULT_FIAT_CURRENCY;
+};
+
+const setFiatCurrency = (code) => {
+    fiatCurrency = normalizeFiatCurrency(code);
+    return fiatCurrency;
+};
+
+// Detect a fiat currency from text like "€1.234,56" or "100 GBP", or null.
+const detectFiatCurrency = (str = "") => {
+    const code = str.toUpperCase().match(/\b[A-Z]{3}\b/g)?.find((match) => FIAT_CURRENCIES[match]);
+    if (code) return code;
+
+    const symbols = Object.entries(FIAT_CURRENCIES)
+        .flatMap(([currency, { symbols }]) => symbols.map((symbol) => [symbol, currency]))
+        .sort(([a], [b]) => b.length - a.length);
+    return symbols.find(([symbol]) => str.includes(symbol))?.[1] ?? null;
+};
+
+// Decimal separator of a currency's convention, from Intl.
+const decimalSeparators = new Map();
+const getDecimalSeparator = (currency) => {
+    if (!decimalSeparators.has(currency)) {
+        const parts = new Intl.NumberFormat(FIAT_CURRENCIES[currency].locale).formatToParts(1.5);
+        decimalSeparators.set(currency, parts.find((part) => part.type === "decimal")?.value ?? ".");
+    }
+    return decimalSeparators.get(currency);
+};
+
+// A minus at the start of an amount, optionally after its currency symbol or
+// code ("-$5", "€-5", "USD -5").
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const FIAT_PREFIXES = Object.entries(FIAT_CURRENCIES).flatMap(([code, { symbols }]) => [code, ...symbols]);
+const FIAT_NEGATIVE_PATTERN = new RegExp(`^\\s*(?:(?:${FIAT_PREFIXES.map(escapeRegExp).join("|")})\\s*)?[-−]`, "i");
+
+// Read the unsigned number in an amount string. With both separators the last
+// one is the decimal. A lone separator is the decimal unless exactly three
+// digits follow it and the part before it is not zero; then the convention of
+// `currency` decides ("€1.234" is 1234, "$1.234" is 1.234), and without one a
+// comma groups thousands and a dot is the decimal.
+const parseUnsignedAmount = (str, currency) => {
+    const digits = str.replace(/[^0-9.,]/g, "");
+    const lastIndex = Math.max(digits.lastIndexOf("."), digits.lastIndexOf(","));
+    const last = digits[lastIndex];
+    let decimal = null;
+    if (/,/.test(digits) && /\./.test(digits)) {
+        decimal = last;
+    } else if (last && digits.indexOf(last) === lastIndex) {
+        if (digits.length - lastIndex - 1 !== 3 || !Number(digits.slice(0, lastIndex))) {
+            decimal = last;
+        } else if (currency) {
+            decimal = getDecimalSeparator(currency) === last ? last : null;
+        } else {
+            decimal = last === "." ? last : null;
+        }
+    }
+
+    const whole = decimal ? digits.slice(0, lastIndex) : digits;
+    const fraction = decimal ? digits.slice(lastIndex + 1) : "";
+    return parseFloat(`${whole.replace(/[.,]/g, "")}.${fraction}`) || 0;
+};
+
+// Convert a fiat string like "$1,234.50", "-€1.234,50" or "£100" to a number,
+// by the convention of the currency in the text.
+const parseFiat = (str = "") => {
+    const value = parseUnsignedAmount(str, detectFiatCurrency(str));
+    return FIAT_NEGATIVE_PATTERN.test(str) ? -value : value;
+};
+
+// A minus at the start of a BTC amount, optionally after the ₿ sign.
+const BTC_NEGATIVE_PATTERN = /^\s*(?:₿\s*)?[-−]/;
+
+// Convert a BTC string like "₿0.1", "₿0,001" or "-₿1,234.5" to a number. A
+// lone separator followed by three digits is read by the account currency's
+// convention.
+const parseBTC = (str = "") => {
+    const value = parseUnsignedAmount(str, fiatCurrency);
+    return BTC_NEGATIVE_PATTERN.test(str) ? -value : value;
+};
+
+// Format helpers. Fiat values follow the account currency's own convention
+// (its `locale` above) whatever the browser's locale; formatters are cached
+// because cells are formatted often.
+const fiatFormatters = new Map();
+const formatFiat = (value, currency = fiatCurrency) => {
+    if (!fiatFormatters.has(currency)) {
+        const locale = FIAT_CURRENCIES[currency]?.locale;
+        fiatFormatters.set(currency, new Intl.NumberFormat(locale, { style: "currency", currency }));
+    }
+    // Round away "-0.00" for amounts that are zero to the cent.
+    const amount = Number(value ?? 0);
+    return fiatFormatters.get(currency).format(Math.abs(amount) < 0.005 ? 0 : amount);
+};
+const formatPercent = (value) => `${Number(value ?? 0).toFixed(2)}%`;
+const formatBTC = (value) => `${Number(value ?? 0).toFixed(8)} BTC`;
+const SATS_PER_BTC = 100000000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const formatSats = (value) => `${Math.round(Number(value ?? 0) * SATS_PER_BTC).toLocaleString()} sats`;
+
+// How each event price was found, as shown in the "Price Source" column and
+// the ledger.
+const PRICE_SOURCE_LABELS = {
+    ratio: "Trade",
+    historical: "Historical",
+    statement: "Statement",
+    fallback: "Spot",
+    manual: "Manual",
+    missing: "Missing",
+};
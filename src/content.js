@@ -1,26 +1,20 @@
 // Runs on the Strike transactions page and augments the table with profit
 // details using price data from the background script as well as historical
-// price lookups.
+// price lookups. Once the tables are parsed, spot prices pushed by the
+// background keep the figures current without scraping again. The script is
+// loaded on the whole dashboard and follows its client-side navigation, and a
+// MutationObserver puts the added cells back when Strike re-renders rows.
 
 // The manifest loads the polyfill before this file, so `browser.*` APIs work in
 // both Chrome and Firefox.
 
-const LOG_PREFIX = "[Strike Profit]";
-const log = (...args) => console.log(LOG_PREFIX, ...args);
-const debug = (...args) => console.debug(LOG_PREFIX, ...args);
-const warn = (...args) => console.warn(LOG_PREFIX, ...args);
+// Options page settings, loaded on start and updated live when they change.
+// `soldColumnIndex` is the column used as a template for new cells when the
+// "Sold" header cannot be found.
+let settings = DEFAULT_SETTINGS;
 
-// Convert a string like "₿0.1" to a number.
-const parseBTC = (str = "") => parseFloat(str.replace(/[₿,\s]/g, "")) || 0;
-
-// Convert a string like "$100" to a number.
-const parseUSD = (str = "") => parseFloat(str.replace(/[$,\s]/g, "")) || 0;
-
-// Column index used as a template for new cells (the "Sold" column).
-const SOLD_COLUMN_INDEX = 2;
-
-// Cached historical prices keyed by minute bucket to limit API calls.
-const historicalPriceCache = new Map();
+// Layout variant from dom-schema.js that matched the page on the last refresh.
+let domSchema = null;
 
 // Track whether the script is navigating tabs programmatically so we can avoid
 // responding to our own clicks.
@@ -30,10 +24,66 @@ let isProgrammaticNavigation = false;
 // the same time.
 let processingPromise = null;
 
-// only check receiving and sending tabs once then cache until next page load
+// only sync receiving and sending tabs once per page load; later refreshes use
+// the events already in the transaction store
 let checkReceivingSending = true;
-let receiveResult = { events: [], totalBTC: 0 };
-let sendResult = { events: [], totalBTC: 0 };
+
+// Parsed events per table, loaded from extension storage on start.
+let transactionStore = null;
+
+// Cost-basis method selected in the banner; persisted in extension storage.
+let costBasisMethod = DEFAULT_COST_BASIS_METHOD;
+
+// Transfer categories picked on the Receiving and Sending tables, by event id.
+let transferLabels = {};
+
+// Events for the holdings entered by hand on the options page.
+let externalEvents = [];
+
+// Captured API responses tend to arrive in bursts while the dashboard loads or
+// pages a list, so a refresh waits until they stop.
+const API_REFRESH_DELAY_MS = 1000;
+let apiRefreshTimer = null;
+
+// The script runs on the whole dashboard, which navigates without loading
+// pages, and only acts while the transactions page is shown.
+const TRANSACTIONS_PATH = /^\/transactions\/?$/;
+let transactionsRouteActive = false;
+
+// Strike re-renders rows as filters, pages and data change. Mutations are
+// collected and handled together once they settle, or after the maximum wait
+// when they keep coming.
+const DOM_CHANGE_DELAY_MS = 250;
+const DOM_CHANGE_MAX_WAIT_MS = 2000;
+let domObserver = null;
+let pendingDomChanges = [];
+let pendingDomChangesSince = null;
+let domChangeTimer = null;
+
+// Trading rows without a stored event that already triggered a refresh, so a
+// row that cannot be parsed does not trigger one at every re-render.
+const refreshedUnmatchedRows = new Set();
+
+// Problems shown by the layout warning, so it can be put back if Strike's
+// re-render removes it.
+let domProblems = null;
+
+// Inputs from the most recent refresh so the summary can be rebuilt (e.g. after
+// switching cost-basis method) without scraping the tabs again.
+let lastRefresh = null;
+
+// Summary drawn by the last render, for re-applying cells to re-rendered rows.
+let lastSummary = null;
+
+// Live price subscription: the background pushes spot prices over this port
+// and the summary is rebuilt from `lastRefresh` at each one.
+let priceUpdatePort = null;
+let livePricesPaused = false;
+let livePriceUpdatedAt = null;
+
+// Delay before subscribing again when the background drops the port (e.g. a
+// restarted service worker).
+const LIVE_PRICE_RETRY_MS = 5000;
 
 // Small utility to wait a given number of milliseconds.
 const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -54,98 +104,32 @@ const waitForCondition = async (
     return result;
 };
 
-// Check whether the Trading tab is currently active.
-const isTradingTabActive = () => {
-    const activeTab = document.querySelector('button[aria-selected="true"]');
-    return activeTab?.textContent.trim() === "Trading";
-};
+// Locate the tab of a stored table ("trading", "receiving" or "sending").
+const findTableTab = (tableName) => (domSchema ? findSchemaTab(domSchema, tableName) : null);
 
-// Locate a tab button by its visible label.
-const findTabByName = (name) =>
-    [...document.querySelectorAll('[role="tab"]')].find(
-        (btn) => btn.textContent.trim().toLowerCase() === name.toLowerCase()
-    );
+// The label of a table's tab, for log messages.
+const getTabLabel = (tableName) => domSchema?.tables[tableName]?.tab[0] ?? tableName;
 
 // Return the currently active tab button if present.
-const getActiveTab = () => document.querySelector('[role="tab"][aria-selected="true"]');
-
-// Ask the background script for the current BTC price.
-const fetchCurrentBTCPrice = async () => {
-    const response = await browser.runtime.sendMessage({ type: "GET_BTC_PRICE" });
-    if (!response || response.error || response.price == null) {
-        throw new Error("Failed to fetch BTC price from background");
-    }
-    debug("Fetched current BTC price", response.price);
-    return response.price;
-};
-
-// Fetch the BTC price around the provided timestamp using Bitfinex candles.
-// Results are cached per-minute to keep network usage low.
-const fetchHistoricalBTCPrice = async (date) => {
-    if (!(date instanceof Date) || Number.isNaN(date.getTime())) return null;
+const getActiveTab = () => (domSchema ? document.querySelector(domSchema.selectors.activeTab) : null);
 
-    const minuteKey = Math.floor(date.getTime() / 60000);
-    if (historicalPriceCache.has(minuteKey)) {
-        debug("Using cached historical price for", date.toISOString());
-        return historicalPriceCache.get(minuteKey);
-    }
-
-    const windowMs = 10 * 60 * 1000; // +/- 10 minutes
-    const start = Math.max(0, date.getTime() - windowMs);
-    const end = date.getTime() + windowMs;
-    const url =
-        `https://api-pub.bitfinex.com/v2/candles/trade:1m:tBTCUSD/hist?start=${start}&end=${end}` +
-        "&limit=120&sort=1";
-
-    try {
-        debug("Requesting historical BTC price for", date.toISOString());
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        const data = await response.json();
-        if (!Array.isArray(data) || !data.length) {
-            historicalPriceCache.set(minuteKey, null);
-            return null;
-        }
+// Check whether the Trading tab is currently active.
+const isTradingTabActive = () => Boolean(getActiveTab()) && getActiveTab() === findTableTab("trading");
 
-        const targetMs = date.getTime();
-        let closest = null;
-        let closestDiff = Number.POSITIVE_INFINITY;
-
-        data.forEach((candle) => {
-            if (!Array.isArray(candle) || candle.length < 3) return;
-            const candleTime = candle[0];
-            const diff = Math.abs(candleTime - targetMs);
-            if (diff < closestDiff) {
-                closest = candle;
-                closestDiff = diff;
-            }
-        });
+// Return the rows of one of Strike's tables.
+const getTableRows = (table) => [...(table?.querySelectorAll(domSchema.selectors.row) ?? [])];
 
-        const price = closest ? closest[2] ?? closest[1] ?? null : null;
-        historicalPriceCache.set(minuteKey, price ?? null);
-        debug("Received historical BTC price", price, "for", date.toISOString());
-        return price ?? null;
-    } catch (error) {
-        warn("Failed to fetch historical BTC price:", error);
-        historicalPriceCache.set(minuteKey, null);
-        return null;
-    }
+// Return Strike's table within a panel, skipping the tables inside our own
+// banner, which is inserted into the same panel.
+const findPanelTable = (panel) => {
+    const tables = [...(panel?.querySelectorAll(domSchema.selectors.table) ?? [])];
+    return tables.find((table) => !table.closest("#strike-profit-banner")) ?? null;
 };
 
-// Extract a Date instance from a table cell that contains the completed time.
-const parseDateFromCell = (cell) => {
-    if (!cell) return null;
-
-    const withTitle = cell.querySelector('[title]');
-    if (withTitle?.getAttribute("title")) {
-        const ts = Date.parse(withTitle.getAttribute("title"));
-        if (!Number.isNaN(ts)) return new Date(ts);
-    }
-
-    const text = cell.textContent?.trim();
-    if (!text) return null;
-    const parsed = Date.parse(text);
-    return Number.isNaN(parsed) ? null : new Date(parsed);
+// Return the table currently rendered in a tab's panel, without loading it.
+const findTabPanelTable = (tableName) => {
+    const id = findTableTab(tableName)?.getAttribute("aria-controls");
+    return id ? findPanelTable(document.getElementById(id)) : null;
 };
 
 // Remove any previously injected profit cells from a row.
@@ -158,11 +142,6 @@ const clearProfitHeaders = (headerRow) => {
     headerRow.querySelectorAll('[data-profit-header="true"]').forEach((cell) => cell.remove());
 };
 
-// Format helpers.
-const formatUSD = (value) => `$${Number(value ?? 0).toFixed(2)}`;
-const formatPercent = (value) => `${Number(value ?? 0).toFixed(2)}%`;
-const formatBTC = (value) => `${Number(value ?? 0).toFixed(8)} BTC`;
-
 // Add header cells with provided labels, cloning style from the first <th>.
 const appendStyledHeaderCells = (headerRow, labels) => {
     if (!headerRow) return;
@@ -181,8 +160,9 @@ const appendStyledHeaderCells = (headerRow, labels) => {
     });
 };
 
-// Add new cells to a row using a template, optionally applying a color.
-const appendStyledCells = (row, values, templateIndex = SOLD_COLUMN_INDEX) => {
+// Add new cells to a row using a template, optionally applying a color and a
+// small badge (`{ text, title }`) after the text.
+const appendStyledCells = (row, values, templateIndex = settings.soldColumnIndex) => {
     if (!row) return;
     clearProfitCells(row);
 
@@ -190,16 +170,18 @@ const appendStyledCells = (row, values, templateIndex = SOLD_COLUMN_INDEX) => {
     const templateTD = cells[templateIndex] || cells[cells.length - 1];
     if (!templateTD) return;
 
-    values.forEach(({ text, color = null }) => {
+    values.forEach(({ text, color = null, badge = null }) => {
         const cloned = templateTD.cloneNode(true);
-        const p = cloned.querySelector("p");
-
-        if (p) {
-            p.textContent = text;
-            if (color) p.style.color = color;
-        } else {
-            cloned.textContent = text;
-            if (color) cloned.style.color = color;
+        const target = cloned.querySelector("p") || cloned;
+
+        target.textContent = text;
+        if (color) target.style.color = color;
+        if (badge) {
+            const badgeElem = document.createElement("span");
+            badgeElem.className = "strike-profit-badge";
+            badgeElem.textContent = badge.text;
+            badgeElem.title = badge.title;
+            target.append(" ", badgeElem);
         }
 
         cloned.dataset.profitCell = "true";
@@ -207,20 +189,9 @@ const appendStyledCells = (row, values, templateIndex = SOLD_COLUMN_INDEX) => {
     });
 };
 
-// Locate a column index within a table header using a set of keywords.
-const createColumnLookup = (table) => {
-    const headers = [...table.querySelectorAll("thead th")].map((th) =>
-        th.textContent?.trim().toLowerCase() ?? ""
-    );
-
-    return (keywords, fallback = -1) => {
-        const normalized = keywords.map((k) => k.toLowerCase());
-        const index = headers.findIndex((header) =>
-            normalized.some((keyword) => header.includes(keyword))
-        );
-        return index >= 0 ? index : fallback;
-    };
-};
+// Column indexes of one of Strike's tables, keyed as in the schema; -1 for
+// optional columns that are missing.
+const getTableColumns = (table, tableName) => findSchemaColumns(table, domSchema, tableName);
 
 // Return the scrollable element that actually drives row loading.
 const getScrollableContainer = (panel) => {
@@ -271,23 +242,33 @@ const scrollOnceToBottom = async (scroller) => {
     await wait(150);
 };
 
-// Ensure all paginated/virtualized rows are present before processing
-const ensureAllRowsLoaded = async (panel, { panelName = "panel" } = {}) => {
-    if (!panel) { warn(`Cannot ensure rows for ${panelName}; no panel provided`); return; }
+// Ensure all paginated/virtualized rows are present before processing. When
+// `isCaughtUp` is given, loading stops as soon as it reports that the rows
+// already present reach back to data seen on an earlier visit. Returns true
+// once the rows are caught up or stopped growing, and false when loading gave
+// up first.
+const ensureAllRowsLoaded = async (panel, { panelName = "panel", isCaughtUp = null } = {}) => {
+    if (!panel) { warn(`Cannot ensure rows for ${panelName}; no panel provided`); return false; }
 
     // Wait for table & first row to exist at all
-    let table = await waitForCondition(() => panel.querySelector("table"), { timeout: 2000, interval: 100 });
-    if (!table) { debug(`No table found for ${panelName}`); return; }
-    await waitForCondition(() => table.querySelector("tbody tr"), { timeout: 2000, interval: 100 });
+    let table = await waitForCondition(() => findPanelTable(panel), { timeout: 2000, interval: 100 });
+    if (!table) { debug(`No table found for ${panelName}`); return false; }
+    await waitForCondition(() => getTableRows(table).length, { timeout: 2000, interval: 100 });
 
     const scroller = getScrollableContainer(panel);
 
     // Loop until row count stabilizes and there are no pending mutations.
     let stablePasses = 0;
     let lastCount = -1;
+    let loaded = false;
 
     for (let i = 0; i < 40; i += 1) { // hard safety cap
-        table = panel.querySelector("table") || table;
+        table = findPanelTable(panel) || table;
+        if (isCaughtUp?.(table)) {
+            debug(`${panelName}: reached previously synced rows after ${getRowCount(table)} rows`);
+            loaded = true;
+            break;
+        }
         const before = getRowCount(table);
 
         // Try both mechanisms: button click and scroll-to-bottom.
@@ -297,7 +278,7 @@ const ensureAllRowsLoaded = async (panel, { panelName = "panel" } = {}) => {
         // Wait for rows to materialize or the button to disable
         await waitForDomQuiet(panel, 200, 1000);
 
-        table = panel.querySelector("table") || table;
+        table = findPanelTable(panel) || table;
         const after = getRowCount(table);
 
         debug(`${panelName}: rows ${before} -> ${after}${clicked ? " (+clicked)" : ""}`);
@@ -316,6 +297,7 @@ const ensureAllRowsLoaded = async (panel, { panelName = "panel" } = {}) => {
 
         if (stablePasses >= 2 && !loadMorePresent) {
             debug(`${panelName}: rows stabilized at ${after}`);
+            loaded = true;
             break;
         }
 
@@ -324,15 +306,20 @@ const ensureAllRowsLoaded = async (panel, { panelName = "panel" } = {}) => {
         lastCount = after;
     }
 
+    if (!loaded) warn(`${panelName}: stopped loading rows before they settled`);
+
     // Final quiet period to let any last virtualized chunks settle
     await waitForDomQuiet(panel, 200, 1000);
+    return loaded;
 };
 
 
 // Make sure the table for the requested tab is available, loading the tab if
-// necessary. Returns the tab, its panel, and the resolved table.
-const ensureTabTableReady = async (tabName, { expectRows = true } = {}) => {
-    const tab = findTabByName(tabName);
+// necessary. Returns the tab, its panel, the resolved table, and whether all of
+// its rows were loaded.
+const ensureTabTableReady = async (tableName, { expectRows = true, isCaughtUp = null } = {}) => {
+    const tabName = getTabLabel(tableName);
+    const tab = findTableTab(tableName);
     if (!tab) {
         warn(`Tab "${tabName}" not found`);
         return null;
@@ -351,8 +338,8 @@ const ensureTabTableReady = async (tabName, { expectRows = true } = {}) => {
         return null;
     }
 
-    let table = panel.querySelector("table");
-    let hasRows = !!table?.querySelector("tbody tr");
+    let table = findPanelTable(panel);
+    let hasRows = getTableRows(table).length > 0;
 
     const wasActive = tab.getAttribute("aria-selected") === "true";
 
@@ -371,321 +358,787 @@ const ensureTabTableReady = async (tabName, { expectRows = true } = {}) => {
         }
 
         table = await waitForCondition(
-            () => panel.querySelector("table"),
+            () => findPanelTable(panel),
             { timeout: 10000, interval: 200 }
         );
 
         if (!table) {
             warn(`Table for tab "${tabName}" did not load`);
-            return { tab, panel, table: null };
+            return { tab, panel, table: null, loaded: false };
         }
 
         if (expectRows) {
             await waitForCondition(
-                () => table.querySelector("tbody tr"),
+                () => getTableRows(table).length,
                 { timeout: 10000, interval: 200 }
             );
         }
     }
 
-    await ensureAllRowsLoaded(panel, { panelName: tabName });
-    table = panel.querySelector("table");
+    const loaded = await ensureAllRowsLoaded(panel, { panelName: tabName, isCaughtUp });
+    table = findPanelTable(panel);
     if (!table) {
         warn(`Table for tab "${tabName}" missing after load`);
-        return { tab, panel, table: null };
+        return { tab, panel, table: null, loaded: false };
+    }
+
+    return { tab, panel, table, loaded };
+};
+
+// Build a stable identity for a table row from its own cells. Date cells are
+// read from their title so relative labels like "2 hours ago" do not change
+// the key between visits.
+const getRowKeyBase = (row) => {
+    const link = row.querySelector("a[href]")?.getAttribute("href");
+    if (link) return link;
+
+    return [...row.querySelectorAll("td")]
+        .filter((cell) => cell.dataset.profitCell !== "true")
+        .map((cell) => cell.querySelector("[title]")?.getAttribute("title") || cell.textContent.trim())
+        .join("|");
+};
+
+// Return a key per row, prefixed with the table name. Identical rows get an
+// occurrence suffix so repeated buys of the same size stay distinct.
+const getRowKeys = (rows, tableName) => {
+    const seen = new Map();
+    return rows.map((row) => {
+        const base = `${tableName}:${getRowKeyBase(row)}`;
+        const count = seen.get(base) ?? 0;
+        seen.set(base, count + 1);
+        return `${base}#${count}`;
+    });
+};
+
+// Return an `isCaughtUp` check for a stored table, or null when the store has
+// never finished a full sync of it and every row must be loaded.
+const createCaughtUpCheck = (tableStore, tableName) => {
+    if (!tableStore.complete || !tableStore.events.size) return null;
+    return (table) => {
+        return getRowKeys(getTableRows(table), tableName).some((key) => tableStore.events.has(key));
+    };
+};
+
+// Detect the account's fiat currency from the first fiat amount in the
+// trading table, or null when no row shows one.
+const detectAccountCurrency = (table) => {
+    const cells = [...(table?.querySelectorAll("tbody td") ?? [])];
+    return cells
+        .map((cell) => cell.innerText ?? "")
+        .filter((text) => !isBTCText(text) && /\d/.test(text))
+        .map((text) => detectFiatCurrency(text))
+        .find(Boolean) ?? null;
+};
+
+// Switch to the detected account currency, falling back to the one the
+// stored transactions were priced in. Stored events priced in another
+// currency are dropped so they are re-parsed with the new one.
+const applyAccountCurrency = (table) => {
+    const currency = normalizeFiatCurrency(
+        detectAccountCurrency(table) ?? transactionStore.fiatCurrency ?? DEFAULT_FIAT_CURRENCY
+    );
+    if (transactionStore.fiatCurrency && transactionStore.fiatCurrency !== currency) {
+        log(`Account currency changed from ${transactionStore.fiatCurrency} to ${currency}; resyncing`);
+        transactionStore = createEmptyTransactionStore();
+        checkReceivingSending = true;
     }
+    transactionStore.fiatCurrency = currency;
+    setFiatCurrency(currency);
+};
 
-    return { tab, panel, table };
+// Key an event by its completion minute and BTC amount in sats, which is what
+// a table row and an API transaction have in common.
+const getEventFingerprint = (timestamp, amountBTC) => {
+    if (!timestamp) return null;
+    return `${Math.floor(timestamp.getTime() / 60000)}:${Math.round(Math.abs(amountBTC) * SATS_PER_BTC)}`;
 };
 
-// Process the trading table, inject profit columns, and return trading events.
-const processTradingTable = async (table, currentPrice) => {
-    const lookup = createColumnLookup(table);
-    const soldIndex = lookup(["sold"], SOLD_COLUMN_INDEX);
-    const boughtIndex = lookup(["bought"], SOLD_COLUMN_INDEX + 1);
-    const completedIndex = lookup(["completed", "date", "filled"], 1);
-    const templateIndex = soldIndex >= 0 ? soldIndex : SOLD_COLUMN_INDEX;
+// Fingerprint each row from the table's date and BTC amount columns.
+const getRowFingerprints = (table, rows, tableName) => {
+    const columns = getTableColumns(table, tableName);
+    const completedIndex = columns.completed;
+    const amountIndexes = tableName === "trading" ? [columns.sold, columns.bought] : [columns.amount];
+    return rows.map((row) => {
+        const cells = row.querySelectorAll("td");
+        const amountText = amountIndexes
+            .map((index) => (index >= 0 ? cells[index]?.innerText ?? "" : ""))
+            .find((text) => (tableName === "trading" ? isBTCText(text) : text));
+        const completedAt = completedIndex >= 0 ? parseDateFromCell(cells[completedIndex]) : null;
+        return getEventFingerprint(completedAt, parseBTC(amountText));
+    });
+};
 
-    const rows = [...table.querySelectorAll("tbody tr")];
+// Pair the rows of a table with their events: by row key for events parsed
+// from the rows, and by fingerprint for events read from Strike's API. Rows
+// without an event are left out.
+const matchRowEvents = (table, tableName, events) => {
+    const rows = getTableRows(table);
+    const eventsById = new Map(events.map((event) => [event.id, event]));
+    const keys = getRowKeys(rows, tableName);
+    if (keys.some((key) => eventsById.has(key))) {
+        return rows.flatMap((row, index) => {
+            const event = eventsById.get(keys[index]);
+            return event ? [{ row, event }] : [];
+        });
+    }
+
+    // Identical transactions in the same minute are paired in order.
+    const byFingerprint = new Map();
+    events.forEach((event) => {
+        const fingerprint = getEventFingerprint(event.timestamp, event.amountBTC);
+        byFingerprint.set(fingerprint, [...(byFingerprint.get(fingerprint) ?? []), event]);
+    });
+    const fingerprints = getRowFingerprints(table, rows, tableName);
+    return rows.flatMap((row, index) => {
+        const event = fingerprints[index] ? byFingerprint.get(fingerprints[index])?.shift() : null;
+        return event ? [{ row, event }] : [];
+    });
+};
+
+// Process the trading table and return trading events. Each row is returned alongside its event in `tradeRows` so its cells
+// can be filled once the summary has matched events against the lot ledger.
+// Rows already in `knownEvents` reuse the stored event instead of re-parsing;
+// only rows seen for the first time end up in `newEvents`.
+const processTradingTable = async (table, knownEvents = new Map()) => {
+    const {
+        sold: soldIndex,
+        bought: boughtIndex,
+        completed: completedIndex,
+        fee: feeIndex,
+    } = getTableColumns(table, "trading");
+    const templateIndex = soldIndex >= 0 ? soldIndex : settings.soldColumnIndex;
+
+    const rows = getTableRows(table);
+    const rowKeys = getRowKeys(rows, "trading");
     const events = [];
-    const priceStats = { ratio: 0, historical: 0, missing: 0 };
+    const newEvents = [];
+    const tradeRows = [];
+    const priceStats = { ratio: 0, historical: 0, missing: 0, stored: 0 };
 
-    for (const row of rows) {
+    for (const [rowIndex, row] of rows.entries()) {
         const cells = row.querySelectorAll("td");
         if (cells.length <= Math.max(soldIndex, boughtIndex)) continue;
         if (cells.length <= 1) continue;
 
-        const soldUSD = soldIndex >= 0 ? parseUSD(cells[soldIndex]?.innerText) : 0;
-        const boughtBTC = boughtIndex >= 0 ? parseBTC(cells[boughtIndex]?.innerText) : 0;
-        if (!boughtBTC) continue;
+        const id = rowKeys[rowIndex];
+        const storedEvent = knownEvents.get(id);
+        if (storedEvent) {
+            priceStats.stored += 1;
+            events.push(storedEvent);
+            tradeRows.push({ row, event: storedEvent });
+            continue;
+        }
+
+        const soldText = soldIndex >= 0 ? cells[soldIndex]?.innerText ?? "" : "";
+        const boughtText = boughtIndex >= 0 ? cells[boughtIndex]?.innerText ?? "" : "";
+        const isSell = isBTCText(soldText) && !isBTCText(boughtText);
+
+        const amountBTC = isSell ? parseBTC(soldText) : parseBTC(boughtText);
+        const amountFiat = isSell ? parseFiat(boughtText) : parseFiat(soldText);
+        if (!amountBTC) continue;
 
         const completedAt = completedIndex >= 0 ? parseDateFromCell(cells[completedIndex]) : null;
-        const fallbackPrice = boughtBTC ? soldUSD / boughtBTC : null;
-        let entryPrice = null;
+        const fallbackPrice = amountBTC ? amountFiat / amountBTC : null;
+        let tradePrice = null;
+        let priceSource = "missing";
 
         if (Number.isFinite(fallbackPrice) && fallbackPrice > 0) {
-            entryPrice = fallbackPrice;
+            tradePrice = fallbackPrice;
+            priceSource = "ratio";
             priceStats.ratio += 1;
         } else if (completedAt) {
             const historicalPrice = await fetchHistoricalBTCPrice(completedAt);
             if (Number.isFinite(historicalPrice) && historicalPrice > 0) {
-                entryPrice = historicalPrice;
+                tradePrice = historicalPrice;
+                priceSource = "historical";
                 priceStats.historical += 1;
             }
         }
 
-        if (entryPrice == null) {
+        if (tradePrice == null) {
             priceStats.missing += 1;
         }
 
-        const priceForBasis = entryPrice ?? 0;
-        const basisUSD = priceForBasis * boughtBTC;
-        const currentValueUSD = boughtBTC * currentPrice;
-        const profitUSD = currentValueUSD - basisUSD;
-        const percent = basisUSD ? (profitUSD / basisUSD) * 100 : 0;
-        const color = profitUSD >= 0 ? "green" : "red";
-
-        appendStyledCells(
-            row,
-            [
-                // { text: entryPrice ? formatUSD(entryPrice) : "—" },
-                { text: formatUSD(profitUSD), color },
-                { text: formatPercent(percent), color },
-            ],
-            templateIndex
-        );
+        const priceForBasis = tradePrice ?? 0;
+        // Fees shown in BTC are valued at the trade price.
+        const feeText = feeIndex >= 0 ? cells[feeIndex]?.innerText ?? "" : "";
+        const feeFiat = Math.abs(isBTCText(feeText) ? parseBTC(feeText) * priceForBasis : parseFiat(feeText));
+        const event = isSell
+            ? {
+                id,
+                type: "sell",
+                timestamp: completedAt ?? null,
+                amountBTC: -amountBTC,
+                exitPrice: priceForBasis,
+                priceSource,
+                proceedsUSD: amountFiat || priceForBasis * amountBTC,
+                feeFiat,
+            }
+            : {
+                id,
+                type: "trade",
+                timestamp: completedAt ?? null,
+                amountBTC,
+                entryPrice: priceForBasis,
+                priceSource,
+                feeFiat,
+            };
 
-        events.push({
-            type: "trade",
-            timestamp: completedAt ?? null,
-            amountBTC: boughtBTC,
-            entryPrice: priceForBasis,
-        });
+        events.push(event);
+        newEvents.push(event);
+        tradeRows.push({ row, event });
     }
 
-    const headerRow = table.querySelector("thead tr");
-    appendStyledHeaderCells(headerRow, ["Profit ($)", "Profit (%)"]);
-
+    const sellCount = events.filter((event) => event.type === "sell").length;
     log(
-        `Processed Trading table with ${events.length} trades ` +
-        `(ratio: ${priceStats.ratio}, historical: ${priceStats.historical}, missing price: ${priceStats.missing})`
+        `Processed Trading table with ${events.length - sellCount} buys and ${sellCount} sells ` +
+        `(new: ${newEvents.length}, stored: ${priceStats.stored}, ratio: ${priceStats.ratio}, ` +
+        `historical: ${priceStats.historical}, missing price: ${priceStats.missing})`
     );
 
-    return { events, table };
+    return { events, newEvents, tradeRows, table, templateIndex };
 };
 
-// Parse a receiving or sending table and produce transfer events.
-const processTransferTable = async (table, direction, currentPrice) => {
-    const lookup = createColumnLookup(table);
-    const amountIndex = lookup(["amount"], -1);
-    const feeIndex = lookup(["fee"], -1);
-    const completedIndex = lookup(["completed", "date"], -1);
+// Inject a header for each enabled profit column, labelled in the account
+// currency.
+const insertProfitHeaders = (table) => {
+    const symbol = FIAT_CURRENCIES[fiatCurrency].symbol;
+    const labels = settings.columns.map((key) => INJECTED_COLUMNS[key].replace("fiat", symbol));
+    appendStyledHeaderCells(table.querySelector("thead tr"), labels);
+};
+
+// Whole days from `from` to `to`.
+const daysBetween = (from, to) => Math.max(0, Math.floor((to.getTime() - from.getTime()) / DAY_MS));
+
+const holdingTermBadge = (longTerm) =>
+    longTerm
+        ? { text: "LT", title: "Long-term: held more than one year" }
+        : { text: "ST", title: "Short-term: held one year or less" };
+
+// Days held for a sell: the BTC-weighted average over the lots it consumed,
+// with a badge when every lot falls in the same tax term.
+const sellHoldingPeriod = (disposal) => {
+    const soldAt = disposal.event.timestamp;
+    const slices = disposal.lots.filter((slice) => slice.acquiredAt instanceof Date);
+    const sliceBTC = slices.reduce((sum, slice) => sum + slice.amountBTC, 0);
+    if (!(soldAt instanceof Date) || !sliceBTC) return null;
+
+    const weightedDays = slices.reduce(
+        (sum, slice) => sum + daysBetween(slice.acquiredAt, soldAt) * slice.amountBTC,
+        0
+    );
+    const terms = new Set(slices.map((slice) => isLongTermHolding(slice.acquiredAt, soldAt)));
+    const badge =
+        terms.size === 1 ? holdingTermBadge(terms.has(true)) : { text: "Mixed", title: "Short- and long-term lots" };
+    return { text: `${Math.round(weightedDays / sliceBTC)}`, badge };
+};
+
+// Fill the enabled columns of each trading row from the lot ledger in
+// `summary`, in the configured order. Buys show the unrealized profit of
+// whatever is left of their lot under the selected cost-basis method; sells
+// show the gain realized against the lots they consumed.
+const renderTradingRows = (tradeRows, summary, currentPrice, templateIndex = settings.soldColumnIndex) => {
+    const empty = { text: "—" };
+    const appendColumns = (row, values) => {
+        appendStyledCells(row, settings.columns.map((key) => values[key] ?? empty), templateIndex);
+    };
 
-    if (amountIndex < 0) return { events: [], totalBTC: 0 };
+    tradeRows.forEach(({ row, event }) => {
+        const amountBTC = Math.abs(event.amountBTC);
+        const common = {
+            amountBTC: { text: formatBTC(amountBTC) },
+            sats: { text: formatSats(amountBTC) },
+            priceSource: { text: PRICE_SOURCE_LABELS[event.priceSource] ?? PRICE_SOURCE_LABELS.missing },
+        };
+
+        if (event.type === "sell") {
+            const disposal = summary.disposals.find((entry) => entry.event === event);
+            if (!disposal) {
+                appendColumns(row, common);
+                return;
+            }
 
-    const rows = [...table.querySelectorAll("tbody tr")];
+            const percent = disposal.basisUSD ? (disposal.gainUSD / disposal.basisUSD) * 100 : 0;
+            const color = disposal.gainUSD >= 0 ? "green" : "red";
+            appendColumns(row, {
+                ...common,
+                realized: { text: `${formatFiat(disposal.gainUSD)} (${formatPercent(percent)})`, color },
+                // The unit cost of the lots the sell consumed.
+                entryPrice: disposal.basisUSD ? { text: formatFiat(disposal.basisUSD / amountBTC) } : empty,
+                daysHeld: sellHoldingPeriod(disposal) ?? empty,
+            });
+            return;
+        }
+
+        const entryPrice = event.entryPrice ? { text: formatFiat(event.entryPrice) } : empty;
+        const lot = summary.lotsByEvent.get(event);
+        if (!lot) {
+            appendColumns(row, {
+                ...common,
+                entryPrice,
+                profit: { text: "Closed" },
+                currentValue: { text: "Closed" },
+            });
+            return;
+        }
+
+        const basisUSD = lot.unitCost * lot.amountBTC;
+        const currentValueUSD = lot.amountBTC * currentPrice;
+        const profitUSD = currentValueUSD - basisUSD;
+        const percent = basisUSD ? (profitUSD / basisUSD) * 100 : 0;
+        const color = profitUSD >= 0 ? "green" : "red";
+        const now = new Date();
+
+        appendColumns(row, {
+            ...common,
+            entryPrice,
+            profit: { text: formatFiat(profitUSD), color },
+            profitPercent: { text: formatPercent(percent), color },
+            currentValue: { text: formatFiat(currentValueUSD) },
+            daysHeld: event.timestamp
+                ? {
+                    text: `${daysBetween(event.timestamp, now)}`,
+                    badge: holdingTermBadge(isLongTermHolding(event.timestamp, now)),
+                }
+                : empty,
+        });
+    });
+};
+
+// Parse a receiving or sending table and produce transfer events. As with the
+// trading table, rows in `knownEvents` reuse their stored event.
+const processTransferTable = async (table, direction, currentPrice, knownEvents = new Map()) => {
+    const tableName = direction === "in" ? "receiving" : "sending";
+    const columns = getTableColumns(table, tableName);
+    const amountIndex = columns.amount;
+    // Receives have no fee column in the schema.
+    const feeIndex = columns.fee ?? -1;
+    const completedIndex = columns.completed;
+    const noteIndex = columns.note;
+
+    if (amountIndex < 0) return { events: [], newEvents: [], totalBTC: 0 };
+
+    const rows = getTableRows(table);
+    const rowKeys = getRowKeys(rows, tableName);
     const events = [];
+    const newEvents = [];
     let totalBTC = 0;
-    const priceStats = { historical: 0, fallback: 0 };
+    const priceStats = { historical: 0, fallback: 0, stored: 0 };
+
+    // Price every new row in one batched lookup instead of one request per row.
+    if (completedIndex >= 0) {
+        await fetchHistoricalBTCPrices(
+            rows
+                .filter((_, rowIndex) => !knownEvents.has(rowKeys[rowIndex]))
+                .map((row) => parseDateFromCell(row.querySelectorAll("td")[completedIndex]))
+        );
+    }
 
-    for (const row of rows) {
+    for (const [rowIndex, row] of rows.entries()) {
         const cells = row.querySelectorAll("td");
         if (cells.length <= amountIndex) continue;
         if (cells.length === 1) continue;
 
+        const id = rowKeys[rowIndex];
+        const storedEvent = knownEvents.get(id);
+        if (storedEvent) {
+            priceStats.stored += 1;
+            totalBTC += Math.abs(storedEvent.amountBTC) + (storedEvent.feeBTC || 0);
+            events.push(storedEvent);
+            continue;
+        }
+
         const amount = Math.abs(parseBTC(cells[amountIndex]?.innerText));
-        const fee = feeIndex >= 0 ? Math.abs(parseBTC(cells[feeIndex]?.innerText)) : 0;
+        // The network fee on a send is disposed of separately by buildSummary.
+        const fee = direction === "out" && feeIndex >= 0 ? Math.abs(parseBTC(cells[feeIndex]?.innerText)) : 0;
         const completedAt = completedIndex >= 0 ? parseDateFromCell(cells[completedIndex]) : null;
+        const note = noteIndex >= 0 ? cells[noteIndex]?.textContent.trim() : "";
 
-        let netAmount = amount;
-        if (direction === "out") {
-            netAmount = amount + fee; // Remove both sent amount and fee from holdings
-        }
-
-        if (!netAmount) continue;
+        if (!amount) continue;
 
         const historicalPrice = await fetchHistoricalBTCPrice(completedAt);
         let priceForBasis = historicalPrice;
+        let priceSource = "historical";
         if (Number.isFinite(priceForBasis) && priceForBasis > 0) {
             priceStats.historical += 1;
         } else {
             priceForBasis = currentPrice ?? 0;
+            priceSource = "fallback";
             priceStats.fallback += 1;
         }
 
-        if (direction === "in") {
-            totalBTC += netAmount;
-            events.push({
-                type: "receive",
-                timestamp: completedAt ?? null,
-                amountBTC: netAmount,
-                entryPrice: priceForBasis,
-            });
-        } else {
-            totalBTC += netAmount;
-            events.push({
-                type: "send",
-                timestamp: completedAt ?? null,
-                amountBTC: -Math.abs(netAmount),
-                entryPrice: priceForBasis,
-            });
-        }
+        totalBTC += amount + fee;
+        const event = {
+            id,
+            type: direction === "in" ? "receive" : "send",
+            timestamp: completedAt ?? null,
+            amountBTC: direction === "in" ? amount : -amount,
+            entryPrice: priceForBasis,
+            priceSource,
+        };
+        if (fee) event.feeBTC = fee;
+        // Read by the automatic transfer classification rules.
+        if (note) event.note = note;
+        events.push(event);
+        newEvents.push(event);
     }
 
     log(
         `Processed ${direction === "in" ? "Receiving" : "Sending"} table with ${events.length} ` +
-        `events (BTC total: ${totalBTC.toFixed(8)}, historical prices: ${priceStats.historical}, ` +
-        `fallback prices: ${priceStats.fallback})`
+        `events (BTC total: ${totalBTC.toFixed(8)}, new: ${newEvents.length}, stored: ${priceStats.stored}, ` +
+        `historical prices: ${priceStats.historical}, fallback prices: ${priceStats.fallback})`
     );
 
-    return { events, totalBTC };
+    return { events, newEvents, totalBTC };
 };
 
-// Build a summary of holdings and profit using the provided events.
-const buildSummary = (currentPrice, { tradeEvents = [], receiveEvents = [], sendEvents = [] }) => {
-    const allEvents = [...tradeEvents, ...receiveEvents, ...sendEvents].filter(
-        (event) => Number.isFinite(event.amountBTC) && event.amountBTC !== 0
+// Display a banner above the table showing total value, profit, and holdings.
+const insertTotalProfitBanner = (table, summary) => {
+    document.getElementById("strike-profit-banner")?.remove();
+    if (!table || !summary) return;
+
+    const banner = createProfitBanner(summary, {
+        onMethodChange: setCostBasisMethod,
+        onResync: resyncTransactions,
+        onReveal: revealTransactionRow,
+        live: { updatedAt: livePriceUpdatedAt, paused: livePricesPaused, onTogglePause: toggleLivePrices },
+    });
+    const parent = table.parentElement;
+    parent?.insertBefore(banner, table);
+
+    log(
+        `Inserted profit banner: value ${formatFiat(summary.currentValue)} ` +
+        `(${formatBTC(summary.holdingsBTC)}) | net ${formatFiat(summary.netProfit)} ` +
+        `(${formatPercent(summary.percent)})`
     );
+};
+
+// Load the persisted cost-basis method into the page state.
+const loadCostBasisMethod = async () => {
+    costBasisMethod = await loadStoredCostBasisMethod();
+    return costBasisMethod;
+};
+
+// Classify the transfers of the last refresh with the saved labels.
+const classifyRefreshTransfers = () =>
+    classifyTransfers(lastRefresh.receiveEvents, lastRefresh.sendEvents, transferLabels);
+
+// Build the summary of the last refresh, with the external entries, at
+// `price`.
+const buildRefreshSummary = (price, transfers = classifyRefreshTransfers()) =>
+    buildSummary(
+        price,
+        { tradeEvents: lastRefresh.tradeEvents, ...transfers, externalEvents },
+        { method: costBasisMethod }
+    );
+
+// Add a cell with the category picker to a transfer row, styled like the row's
+// last cell.
+const appendCategoryCell = (row, event) => {
+    clearProfitCells(row);
+    const cells = row.querySelectorAll("td");
+    const templateTD = cells[cells.length - 1];
+    if (!templateTD) return;
+
+    const select = createTransferCategorySelect(event, (category) => setTransferLabel(event, category));
+    // Keep clicks on the picker from opening Strike's transaction details.
+    select.addEventListener("click", (clickEvent) => clickEvent.stopPropagation());
 
-    allEvents.sort((a, b) => {
-        const aTime = a.timestamp?.getTime() ?? 0;
-        const bTime = b.timestamp?.getTime() ?? 0;
-        if (aTime === bTime) {
-            const aAmount = a.amountBTC ?? 0;
-            const bAmount = b.amountBTC ?? 0;
-            return bAmount - aAmount; // process inbound before outbound when timestamps match
+    const cloned = templateTD.cloneNode(true);
+    (cloned.querySelector("p") || cloned).replaceChildren(select);
+    cloned.dataset.profitCell = "true";
+    row.appendChild(cloned);
+};
+
+// Add a "Category" column to whichever transfer tables are rendered, for the
+// rows with a parsed event. With `changedRows`, only those rows are redrawn.
+const renderTransferControls = ({ receiveEvents, sendEvents }, changedRows = null) => {
+    [
+        ["receiving", receiveEvents],
+        ["sending", sendEvents],
+    ].forEach(([tableName, events]) => {
+        const table = findTabPanelTable(tableName);
+        if (!table) return;
+
+        if (!table.querySelector('[data-profit-header="true"]')) {
+            appendStyledHeaderCells(table.querySelector("thead tr"), ["Category"]);
         }
-        return aTime - bTime;
+        matchRowEvents(table, tableName, events)
+            .filter(({ row }) => !changedRows || changedRows.has(row))
+            .forEach(({ row, event }) => appendCategoryCell(row, event));
     });
+};
 
-    let holdingsBTC = 0;
-    let basisUSD = 0;
-
-    allEvents.forEach((event) => {
-        const amount = event.amountBTC;
-        if (amount > 0) {
-            holdingsBTC += amount;
-            basisUSD += (event.entryPrice ?? 0) * amount;
-        } else if (amount < 0) {
-            const amountAbs = Math.abs(amount);
-            if (holdingsBTC <= 0 || basisUSD <= 0) {
-                holdingsBTC -= amountAbs;
-                basisUSD = Math.max(0, basisUSD - (event.entryPrice ?? 0) * amountAbs);
-                return;
-            }
+// Switch to the tab an event was parsed from (the prefix of its id) and scroll
+// its row into view, loading older rows until it appears. Used by the ledger's
+// "Show" links.
+const revealTransactionRow = async (event) => {
+    const [tableName] = event.id.split(":");
+    const tab = TRANSACTION_TABLES.includes(tableName) ? findTableTab(tableName) : null;
+    if (!tab) return;
+
+    const findRow = (table) => matchRowEvents(table, tableName, [event])[0]?.row ?? null;
+
+    // A real click, so the tab's own listeners run as if the user switched.
+    if (tab.getAttribute("aria-selected") !== "true") tab.click();
+    const context = await ensureTabTableReady(tableName, { isCaughtUp: (table) => Boolean(findRow(table)) });
+    const row = findRow(context?.table);
+    if (!row) {
+        warn(`Could not find the ${getTabLabel(tableName)} row for ${event.id}`);
+        return;
+    }
 
-            const holdingsBefore = holdingsBTC;
-            const basisBefore = basisUSD;
-            const proportion = amountAbs / holdingsBefore;
-            const reduction = basisBefore * proportion;
-            holdingsBTC = holdingsBefore - amountAbs;
-            basisUSD = Math.max(0, basisBefore - reduction);
+    row.scrollIntoView({ block: "center", behavior: "smooth" });
+    row.classList.add("strike-profit-highlight");
+    setTimeout(() => row.classList.remove("strike-profit-highlight"), 3000);
+    debug(`Revealed ${event.id}`);
+};
+
+// Save the category picked for a transfer (null to go back to the automatic
+// rules) and redraw everything that depends on it.
+const setTransferLabel = async (event, category) => {
+    transferLabels = await saveTransferLabel(event.id, category);
+    log(`Transfer ${event.id} labelled ${category ?? "automatically"}`);
+    renderProfit();
+};
+
+// Rebuild the summary from the last refresh, redraw the rows and banner, and
+// save the totals for the toolbar popup.
+const renderProfit = () => {
+    if (!lastRefresh) return null;
+
+    const { currentPrice, table, tradeRows, templateIndex } = lastRefresh;
+    const transfers = classifyRefreshTransfers();
+    const summary = buildRefreshSummary(currentPrice, transfers);
+    lastSummary = summary;
+
+    withoutObserving(() => {
+        insertProfitHeaders(table);
+        renderTradingRows(tradeRows, summary, currentPrice, templateIndex);
+        renderTransferControls(transfers);
+        insertTotalProfitBanner(table, summary);
+    });
+    saveSummarySnapshot(createSummarySnapshot(summary, currentPrice, { currency: fiatCurrency, source: "dashboard" }));
+    return summary;
+};
+
+// Recompute the summary at a pushed spot price and refresh the profit cells
+// and banner figures in place, without touching Strike's tables.
+const applyLivePrice = ({ price, timestamp }) => {
+    if (!lastRefresh || !Number.isFinite(price) || price <= 0) return;
+
+    lastRefresh.currentPrice = price;
+    livePriceUpdatedAt = timestamp ?? Date.now();
+    const { tradeRows, templateIndex } = lastRefresh;
+    const summary = buildRefreshSummary(price);
+    lastSummary = summary;
+
+    withoutObserving(() => {
+        renderTradingRows(tradeRows, summary, price, templateIndex);
+        const banner = document.getElementById("strike-profit-banner");
+        if (banner) {
+            updateProfitBanner(banner, summary);
+            updateLivePriceStatus(banner, { updatedAt: livePriceUpdatedAt, paused: livePricesPaused });
         }
     });
+    saveSummarySnapshot(createSummarySnapshot(summary, price, { currency: fiatCurrency, source: "dashboard" }));
+};
 
-    const currentValue = holdingsBTC * currentPrice;
-    const netProfit = currentValue - basisUSD;
-    const percent = basisUSD ? (netProfit / basisUSD) * 100 : 0;
+const unsubscribeFromPriceUpdates = () => {
+    const port = priceUpdatePort;
+    priceUpdatePort = null;
+    port?.disconnect();
+};
 
-    const tradesBTC = tradeEvents.reduce(
-        (sum, event) => sum + Math.max(0, event.amountBTC || 0),
-        0
-    );
-    const receivedBTC = receiveEvents.reduce(
-        (sum, event) => sum + Math.max(0, event.amountBTC || 0),
-        0
-    );
-    const sentBTC = sendEvents.reduce(
-        (sum, event) => sum + Math.abs(Math.min(0, event.amountBTC || 0)),
-        0
-    );
+// Ask the background to push spot prices in the account currency at the
+// configured interval, replacing any earlier subscription.
+const subscribeToPriceUpdates = () => {
+    unsubscribeFromPriceUpdates();
+    if (livePricesPaused) return;
 
-    const summary = {
-        holdingsBTC,
-        basisUSD,
-        currentValue,
-        netProfit,
-        percent,
-        breakdown: {
-            tradesBTC,
-            receivedBTC,
-            sentBTC,
-        },
-    };
+    const port = browser.runtime.connect({ name: "PRICE_UPDATES" });
+    port.onMessage.addListener((message) => {
+        if (message?.type === "PRICE_UPDATE") applyLivePrice(message);
+    });
+    port.onDisconnect.addListener(() => {
+        if (priceUpdatePort !== port) return;
+        priceUpdatePort = null;
+        debug("Live price port closed; subscribing again shortly");
+        setTimeout(() => {
+            if (!priceUpdatePort && !livePricesPaused) subscribeToPriceUpdates();
+        }, LIVE_PRICE_RETRY_MS);
+    });
+    port.postMessage({
+        type: "SUBSCRIBE",
+        currency: fiatCurrency,
+        intervalMs: settings.livePriceSeconds * 1000,
+    });
+    priceUpdatePort = port;
+    debug(`Subscribed to live ${fiatCurrency} prices every ${settings.livePriceSeconds}s`);
+};
 
-    log(
-        `Built summary: holdings ${summary.holdingsBTC.toFixed(8)} BTC, ` +
-        `current value ${formatUSD(summary.currentValue)}, basis ${formatUSD(summary.basisUSD)}, ` +
-        `net profit ${formatUSD(summary.netProfit)} (${formatPercent(summary.percent)})`
-    );
-    log(
-        `Breakdown -> trades: ${formatBTC(summary.breakdown.tradesBTC)}, ` +
-        `received: ${formatBTC(summary.breakdown.receivedBTC)}, sent: ${formatBTC(summary.breakdown.sentBTC)}`
-    );
+// Pause or resume live price updates from the banner.
+const toggleLivePrices = () => {
+    livePricesPaused = !livePricesPaused;
+    if (livePricesPaused) {
+        unsubscribeFromPriceUpdates();
+    } else {
+        subscribeToPriceUpdates();
+    }
+    log(`Live price updates ${livePricesPaused ? "paused" : "resumed"}`);
 
-    return summary;
+    const banner = document.getElementById("strike-profit-banner");
+    if (banner) updateLivePriceStatus(banner, { updatedAt: livePriceUpdatedAt, paused: livePricesPaused });
 };
 
-// Display a banner above the table showing total value, profit, and holdings.
-const insertTotalProfitBanner = (table, summary) => {
-    document.getElementById("strike-profit-banner")?.remove();
-    if (!table || !summary) return;
+// Switch cost-basis method, persist the choice, and redraw from cached events.
+const setCostBasisMethod = async (method) => {
+    costBasisMethod = normalizeCostBasisMethod(method);
+    log(`Cost basis method set to ${COST_BASIS_METHODS[costBasisMethod]}`);
+    renderProfit();
+    await saveCostBasisMethod(costBasisMethod);
+};
 
-    const banner = document.createElement("div");
-    banner.id = "strike-profit-banner";
-
-    const valueDiv = document.createElement("div");
-    valueDiv.style.marginBottom = "0.25em";
-    valueDiv.textContent = "Total Value: ";
-    const valueSpan = document.createElement("span");
-    valueSpan.textContent = `${formatUSD(summary.currentValue)} (${formatBTC(summary.holdingsBTC)})`;
-    valueDiv.appendChild(valueSpan);
-
-    const costDiv = document.createElement("div");
-    costDiv.style.marginBottom = "0.25em";
-    costDiv.textContent = `Notional Cost: ${formatUSD(summary.basisUSD)}`;
-
-    const profitDiv = document.createElement("div");
-    profitDiv.textContent = "Net Profit: ";
-    const profitSpan = document.createElement("span");
-    profitSpan.textContent = `${formatUSD(summary.netProfit)} (${formatPercent(summary.percent)})`;
-    profitSpan.style.color = summary.netProfit >= 0 ? "green" : "red";
-    profitDiv.appendChild(profitSpan);
-
-    const breakdownDiv = document.createElement("div");
-    breakdownDiv.style.marginTop = "0.25em";
-    breakdownDiv.style.fontSize = "0.95em";
-
-    const makeLine = (text) => {
-        const d = document.createElement("div");
-        d.textContent = text;
-        return d;
-    };
+// Load one tab's table, stopping at rows already in the store, and record any
+// rows seen for the first time. Returns the tab context for rendering, and the
+// problems found instead of a result when the table fails validation. The
+// table only counts as complete when every row was loaded, so a load that gave
+// up early is read in full next time.
+const syncTableFromTab = async (tableName, process) => {
+    const tableStore = transactionStore[tableName];
+    setTableSource(tableStore, "dom");
+    const context = await ensureTabTableReady(tableName, {
+        isCaughtUp: createCaughtUpCheck(tableStore, tableName),
+    });
+    if (!context?.table) return { context, result: null };
 
-    breakdownDiv.replaceChildren(
-        makeLine(`Holdings Breakdown: Trades ${formatBTC(summary.breakdown.tradesBTC)}`),
-        makeLine(` + Received ${formatBTC(summary.breakdown.receivedBTC)}`),
-        makeLine(` - Sent ${formatBTC(summary.breakdown.sentBTC)}`)
-    );
+    const problems = validateSchemaTable(context.table, domSchema, tableName);
+    if (problems.length) return { context, result: null, problems };
 
-    banner.appendChild(valueDiv);
-    banner.appendChild(costDiv);
-    banner.appendChild(profitDiv);
-    banner.appendChild(breakdownDiv);
+    const result = await process(context.table, tableStore.events);
+    result.newEvents.forEach((event) => tableStore.events.set(event.id, event));
+    tableStore.complete = Boolean(context.loaded);
+    tableStore.syncedAt = new Date().toISOString();
+    debug(`${getTabLabel(tableName)}: ${result.newEvents.length} new events, ${tableStore.events.size} stored`);
+    return { context, result };
+};
 
-    const parent = table.parentElement;
-    parent?.insertBefore(banner, table);
+// Give the transfers read from Strike's API the categories saved for the same
+// transfers when they were read from the rows.
+const carryTransferLabels = async (rowEvents, apiEvents) => {
+    const labelled = new Map(
+        rowEvents
+            .filter((event) => transferLabels[event.id])
+            .map((event) => [getEventFingerprint(event.timestamp, event.amountBTC), transferLabels[event.id]])
+    );
+    for (const event of apiEvents) {
+        const category = labelled.get(getEventFingerprint(event.timestamp, event.amountBTC));
+        if (category) transferLabels = await saveTransferLabel(event.id, category);
+    }
+};
 
-    log(
-        `Inserted profit banner: value ${formatUSD(summary.currentValue)} ` +
-        `(${formatBTC(summary.holdingsBTC)}) | net ${formatUSD(summary.netProfit)} ` +
-        `(${formatPercent(summary.percent)})`
+// Record the transactions captured from Strike's API for one table. Captured
+// lists replace the rows' events once one has been captured whole and holds
+// every transaction read from the rows; after that every captured page tops
+// the table up. Returns false while the table still has to be read from its
+// tab.
+const syncTableFromApi = async (tableName, captured, currentPrice) => {
+    const tableStore = transactionStore[tableName];
+    if (!(tableStore.source === "api" && tableStore.complete) && !captured.complete) return false;
+
+    const rowEvents = tableStore.source === "dom" ? getStoredEvents(transactionStore, tableName) : [];
+    const capturedFingerprints = new Set(
+        captured.events.map((event) => getEventFingerprint(event.timestamp, event.amountBTC))
+    );
+    const uncovered = rowEvents.filter(
+        (event) => !capturedFingerprints.has(getEventFingerprint(event.timestamp, event.amountBTC))
     );
+    if (uncovered.length) {
+        log(
+            `${getTabLabel(tableName)}: ${uncovered.length} stored rows are missing from Strike's API lists; ` +
+            "reading the table instead"
+        );
+        return false;
+    }
+    setTableSource(tableStore, "api");
+    const newEvents = captured.events.filter((event) => !tableStore.events.has(event.id));
+    if (tableName === "trading") {
+        const priced = await priceTrades(newEvents);
+        if (priced) debug(`${getTabLabel(tableName)} (API): ${priced} trades priced from historical candles`);
+    } else {
+        await priceTransfers(newEvents, currentPrice);
+        await carryTransferLabels(rowEvents, newEvents);
+    }
+    newEvents.forEach((event) => tableStore.events.set(event.id, event));
+    tableStore.complete = true;
+    if (newEvents.length) tableStore.syncedAt = new Date().toISOString();
+    debug(`${getTabLabel(tableName)} (API): ${newEvents.length} new events, ${tableStore.events.size} stored`);
+    return true;
+};
+
+// Refresh shortly after Strike's API delivers a new or changed transaction
+// list, when transactions are read from the API. A refresh already running
+// is waited for, since it may have started before the list arrived.
+const scheduleApiRefresh = () => {
+    if (settings.transactionSource !== "api") return;
+    clearTimeout(apiRefreshTimer);
+    apiRefreshTimer = setTimeout(async () => {
+        await processingPromise;
+        insertProfitColumns();
+    }, API_REFRESH_DELAY_MS);
+};
+
+// Drop every stored event and rescan all tabs from scratch.
+const resyncTransactions = async () => {
+    if (processingPromise) await processingPromise;
+    log("Full resync requested; clearing stored transactions");
+    await clearTransactionStore();
+    transactionStore = createEmptyTransactionStore();
+    checkReceivingSending = true;
+    return insertProfitColumns();
+};
+
+// Replace the profit figures with a warning listing what did not match, so a
+// change to Strike's page shows up as such rather than as wrong numbers.
+const showDomProblems = (problems) => {
+    warn("The transactions page does not match the expected layout:", problems);
+    lastRefresh = null;
+    lastSummary = null;
+    domProblems = problems;
+    unsubscribeFromPriceUpdates();
+    withoutObserving(() => {
+        document.querySelectorAll(INJECTED_SELECTOR).forEach((node) => node.remove());
+        insertDomWarningBanner();
+    });
+};
+
+// Show the warning for `domProblems` above the Trading table, or at the top of
+// the page when there is none.
+const insertDomWarningBanner = () => {
+    document.getElementById("strike-profit-banner")?.remove();
+    const banner = createDomWarningBanner(domProblems);
+    const table = domSchema ? findTabPanelTable("trading") : null;
+    if (table) {
+        table.parentElement?.insertBefore(banner, table);
+    } else {
+        (document.querySelector("main") ?? document.body).prepend(banner);
+    }
 };
 
 // Main entry point: gathers data across tabs, injects columns, and updates the
 // profit banner when the Trading tab is visible.
 const insertProfitColumns = async () => {
+    if (!transactionsRouteActive) return;
+
+    // Strike renders its tabs after the page loads.
+    domSchema = detectDomSchema() ?? (await waitForCondition(detectDomSchema, { timeout: 10000, interval: 250 }));
+    if (!transactionsRouteActive) return;
+    if (!domSchema) {
+        showDomProblems([`None of the known layouts matched: ${describeDomSchemas()}.`]);
+        return;
+    }
+    debug(`Using page layout ${domSchema.version}`);
+
     if (!isTradingTabActive()) {
         debug("Trading tab not active; skipping profit refresh");
         return;
@@ -706,56 +1159,102 @@ const insertProfitColumns = async () => {
         originalTab = getActiveTab();
         log("Starting profit refresh cycle");
 
+        transactionStore ??= await loadTransactionStore();
+        applyAccountCurrency(findTabPanelTable("trading"));
+
         let currentPrice;
         try {
             currentPrice = await fetchCurrentBTCPrice();
+            livePriceUpdatedAt = Date.now();
         } catch (error) {
             warn(error.message);
             return;
         }
 
-        if (checkReceivingSending) {
-            const receiveContext = await ensureTabTableReady("Receiving");
-            receiveResult = receiveContext?.table
-                ? await processTransferTable(receiveContext.table, "in", currentPrice)
-                : { events: [], totalBTC: 0 };
-            if (!receiveContext?.table) {
-                debug("Receiving table unavailable; defaulting to zero inbound transfers");
+        // Transactions captured from Strike's API, when that is the chosen
+        // source; tables they do not cover are read from their tabs.
+        const captured = settings.transactionSource === "api" ? collectApiTransactions() : null;
+
+        for (const [tableName, direction] of [
+            ["receiving", "in"],
+            ["sending", "out"],
+        ]) {
+            if (captured && (await syncTableFromApi(tableName, captured[tableName], currentPrice))) continue;
+            if (!checkReceivingSending) continue;
+            const { result, problems } = await syncTableFromTab(
+                tableName,
+                (table, known) => processTransferTable(table, direction, currentPrice, known)
+            );
+            if (problems) {
+                showDomProblems(problems);
+                return;
             }
-
-            const sendContext = await ensureTabTableReady("Sending");
-            sendResult = sendContext?.table
-                ? await processTransferTable(sendContext.table, "out", currentPrice)
-                : { events: [], totalBTC: 0 };
-            if (!sendContext?.table) {
-                debug("Sending table unavailable; defaulting to zero outbound transfers");
+            if (!result) {
+                const kind = direction === "in" ? "inbound" : "outbound";
+                debug(`${getTabLabel(tableName)} table unavailable; using stored ${kind} transfers`);
             }
-            checkReceivingSending = false;
         }
-
-        const tradingContext = await ensureTabTableReady("Trading");
-        if (!tradingContext?.table) {
+        checkReceivingSending = false;
+
+        let tradingTable = null;
+        let tradeRows = [];
+        let templateIndex = settings.soldColumnIndex;
+        let problems = null;
+        if (captured && (await syncTableFromApi("trading", captured.trading, currentPrice))) {
+            // Only the rows already rendered get cells; nothing is scrolled.
+            tradingTable = findTabPanelTable("trading");
+            problems = tradingTable ? validateSchemaTable(tradingTable, domSchema, "trading") : null;
+            if (tradingTable && !problems.length) {
+                tradeRows = matchRowEvents(tradingTable, "trading", getStoredEvents(transactionStore, "trading"));
+                const soldIndex = getTableColumns(tradingTable, "trading").sold;
+                templateIndex = soldIndex >= 0 ? soldIndex : templateIndex;
+            }
+        } else {
+            const { context, result, problems: tradingProblems } = await syncTableFromTab(
+                "trading",
+                processTradingTable
+            );
+            tradingTable = context?.table ?? null;
+            tradeRows = result?.tradeRows ?? [];
+            templateIndex = result?.templateIndex ?? templateIndex;
+            problems = tradingProblems;
+        }
+        if (problems?.length) {
+            showDomProblems(problems);
+            return;
+        }
+        if (!tradingTable) {
             warn("Trading table unavailable; aborting profit rendering");
             return;
         }
 
-        const tradingResult = await processTradingTable(tradingContext.table, currentPrice);
+        await saveTransactionStore(transactionStore);
+        if (!transactionsRouteActive) {
+            debug("Left the transactions page during the refresh; nothing to render");
+            return;
+        }
 
-        const tradeEvents = tradingResult.events ?? [];
-        const receiveEvents = receiveResult?.events ?? [];
-        const sendEvents = sendResult?.events ?? [];
+        const tradeEvents = getStoredEvents(transactionStore, "trading");
+        const receiveEvents = getStoredEvents(transactionStore, "receiving");
+        const sendEvents = getStoredEvents(transactionStore, "sending");
 
         log(
             `Event counts -> trades: ${tradeEvents.length}, received: ${receiveEvents.length}, sent: ${sendEvents.length}`
         );
 
-        const summary = buildSummary(currentPrice, {
+        lastRefresh = {
+            currentPrice,
+            table: tradingTable,
+            tradeRows,
+            templateIndex,
             tradeEvents,
             receiveEvents,
             sendEvents,
-        });
+        };
+        domProblems = null;
 
-        insertTotalProfitBanner(tradingContext.table, summary);
+        renderProfit();
+        subscribeToPriceUpdates();
     })()
         .catch((error) => warn("Failed to insert profit columns:", error))
         .finally(async () => {
@@ -782,22 +1281,215 @@ const insertProfitColumns = async () => {
     return processingPromise;
 };
 
-// Re-inject columns when the Trading tab is clicked again.
-const setupTabClickListener = () => {
-    const tradingTab = findTabByName("Trading");
-    if (!tradingTab) return;
+// What this script injects into the page: the banner, cells and headers.
+const INJECTED_SELECTOR = '#strike-profit-banner, [data-profit-cell="true"], [data-profit-header="true"]';
 
-    tradingTab.addEventListener("click", () => {
-        if (isProgrammaticNavigation) return;
-        debug("Trading tab clicked; scheduling profit refresh");
-        setTimeout(() => insertProfitColumns(), 350);
+// Check whether a node is, or is inside, something this script injected.
+const isInjectedNode = (node) => {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return Boolean(element?.closest(INJECTED_SELECTOR));
+};
+
+// Collect mutations and handle them once they settle.
+const queueDomChanges = (records) => {
+    if (!records.length) return;
+    pendingDomChanges.push(...records);
+    pendingDomChangesSince ??= Date.now();
+    const waited = Date.now() - pendingDomChangesSince;
+    clearTimeout(domChangeTimer);
+    domChangeTimer = setTimeout(flushDomChanges, waited >= DOM_CHANGE_MAX_WAIT_MS ? 0 : DOM_CHANGE_DELAY_MS);
+};
+
+// Make our own DOM writes without the observer reporting them back as
+// Strike's. Changes already pending are kept.
+const withoutObserving = (write) => {
+    if (domObserver) queueDomChanges(domObserver.takeRecords());
+    try {
+        return write();
+    } finally {
+        domObserver?.takeRecords();
+    }
+};
+
+// The table rows Strike added or changed in a batch of mutations, leaving out
+// changes inside the elements this script injected.
+const collectChangedRows = (records) => {
+    const rows = new Set();
+    records.forEach((record) => {
+        if (isInjectedNode(record.target)) return;
+        const target = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+        const row = target?.closest("tr");
+        if (row) rows.add(row);
+        record.addedNodes.forEach((node) => {
+            if (node.nodeType !== Node.ELEMENT_NODE || isInjectedNode(node)) return;
+            if (node.matches("tr")) rows.add(node);
+            node.querySelectorAll("tr").forEach((added) => rows.add(added));
+        });
     });
+    return rows;
 };
 
-// Kick things off once the DOM is ready.
-const start = () => {
+// Refresh once for trading rows that have no stored event, which are new
+// transactions (or rows from a page not read yet). Rows read from Strike's API
+// arrive through the captured responses instead.
+const refreshForUnmatchedRows = (table, rows, matchedRows) => {
+    if (transactionStore?.trading.source !== "dom") return;
+    const matched = new Set(matchedRows.map(({ row }) => row));
+    // Keyed against the whole table so identical rows keep their occurrence.
+    const allRows = getTableRows(table);
+    const keysByRow = new Map(getRowKeys(allRows, "trading").map((key, index) => [allRows[index], key]));
+    const unseen = rows
+        .filter((row) => !matched.has(row) && row.querySelectorAll("td").length > 1)
+        .map((row) => keysByRow.get(row))
+        .filter((key) => !refreshedUnmatchedRows.has(key));
+    if (!unseen.length) return;
+
+    unseen.forEach((key) => refreshedUnmatchedRows.add(key));
+    debug(`${unseen.length} trading rows without a stored event; scheduling profit refresh`);
     insertProfitColumns();
+};
+
+// Put back the cells, headers and banner a re-render dropped, redrawing only
+// the rows that changed; a replaced Trading table is redrawn whole.
+const reapplyToChangedRows = (changedRows) => {
+    if (domProblems) {
+        if (!document.getElementById("strike-profit-banner")) insertDomWarningBanner();
+        return;
+    }
+    if (!lastRefresh || !lastSummary) return;
+
+    const table = findTabPanelTable("trading");
+    if (table) {
+        const replaced = table !== lastRefresh.table;
+        const rows = getTableRows(table).filter((row) => replaced || changedRows.has(row));
+        if (rows.length) {
+            const redraw = new Set(rows);
+            lastRefresh.table = table;
+            lastRefresh.tradeRows = matchRowEvents(table, "trading", lastRefresh.tradeEvents);
+            const tradeRows = lastRefresh.tradeRows.filter(({ row }) => redraw.has(row));
+            renderTradingRows(tradeRows, lastSummary, lastRefresh.currentPrice, lastRefresh.templateIndex);
+            debug(`Re-applied profit cells to ${tradeRows.length} re-rendered trading rows`);
+            refreshForUnmatchedRows(table, rows, tradeRows);
+        }
+        if (!table.querySelector('[data-profit-header="true"]')) insertProfitHeaders(table);
+        if (document.getElementById("strike-profit-banner")?.parentElement !== table.parentElement) {
+            insertTotalProfitBanner(table, lastSummary);
+        }
+    }
+    renderTransferControls(classifyRefreshTransfers(), changedRows);
+};
+
+// Follow the dashboard's navigation: start when the transactions page opens
+// and stand down when it is left.
+const handleRouteChange = () => {
+    const active = TRANSACTIONS_PATH.test(location.pathname);
+    if (active === transactionsRouteActive) return;
+    transactionsRouteActive = active;
+
+    if (active) {
+        log("Transactions page opened");
+        checkReceivingSending = true;
+        // A refresh left running by the previous visit finishes first.
+        Promise.resolve(processingPromise).then(() => insertProfitColumns());
+        return;
+    }
+
+    log("Left the transactions page");
+    clearTimeout(apiRefreshTimer);
+    unsubscribeFromPriceUpdates();
+    lastRefresh = null;
+    lastSummary = null;
+    domProblems = null;
+    refreshedUnmatchedRows.clear();
+    withoutObserving(() => document.querySelectorAll(INJECTED_SELECTOR).forEach((node) => node.remove()));
+};
+
+// Handle the mutations collected since the last flush. While a refresh runs
+// they wait for it, since it redraws everything when it ends.
+const flushDomChanges = () => {
+    domChangeTimer = null;
+    handleRouteChange();
+    if (transactionsRouteActive && processingPromise) {
+        domChangeTimer = setTimeout(flushDomChanges, DOM_CHANGE_DELAY_MS);
+        return;
+    }
+
+    const records = pendingDomChanges;
+    pendingDomChanges = [];
+    pendingDomChangesSince = null;
+    if (transactionsRouteActive) withoutObserving(() => reapplyToChangedRows(collectChangedRows(records)));
+};
+
+// Watch the page for Strike's re-renders and for navigation, which changes
+// the page without loading it. Back and forward navigation is caught by
+// popstate; links within the dashboard show up as re-renders.
+const startDomObserver = () => {
+    domObserver = new MutationObserver(queueDomChanges);
+    domObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+    window.addEventListener("popstate", handleRouteChange);
+};
+
+// Re-inject columns when the Trading tab is clicked again. The listener is on
+// the document since Strike replaces the tabs when it re-renders; the
+// category pickers of the transfer tables are put back by the observer.
+const setupTabClickListener = () => {
+    document.addEventListener(
+        "click",
+        (event) => {
+            if (isProgrammaticNavigation || !transactionsRouteActive) return;
+            if (!findTableTab("trading")?.contains(event.target)) return;
+            debug("Trading tab clicked; scheduling profit refresh");
+            setTimeout(() => insertProfitColumns(), 350);
+        },
+        true
+    );
+};
+
+// Collect Strike's API responses only while they are the transaction source.
+const updateApiCapture = () => {
+    if (settings.transactionSource === "api") {
+        startApiCapture(scheduleApiRefresh);
+    } else {
+        stopApiCapture();
+    }
+};
+
+// Apply settings saved on the options page. A new template column or
+// transaction source needs the tables to be processed again; everything else
+// only needs a redraw.
+const applySettings = (next) => {
+    const reprocess =
+        next.soldColumnIndex !== settings.soldColumnIndex || next.transactionSource !== settings.transactionSource;
+    const resubscribe = next.livePriceSeconds !== settings.livePriceSeconds && Boolean(priceUpdatePort);
+    settings = next;
+    setLogLevel(settings.logLevel);
+    debug("Settings updated", settings);
+    updateApiCapture();
+    if (resubscribe) subscribeToPriceUpdates();
+    if (reprocess) {
+        insertProfitColumns();
+    } else {
+        renderProfit();
+    }
+};
+
+// Kick things off once the DOM is ready.
+const start = async () => {
+    settings = await loadSettings();
+    setLogLevel(settings.logLevel);
+    onSettingsChanged(applySettings);
+    await loadCostBasisMethod();
+    transferLabels = await loadTransferLabels();
+    externalEvents = externalEntriesToEvents(await loadExternalEntries());
+    onExternalEntriesChanged((entries) => {
+        externalEvents = externalEntriesToEvents(entries);
+        debug(`External entries updated (${entries.length})`);
+        renderProfit();
+    });
+    updateApiCapture();
     setupTabClickListener();
+    startDomObserver();
+    handleRouteChange();
     log("StrikeBTC Profit Tracker script loaded");
 };
 
@@ -0,0 +1,72 @@
+// CSV helpers shared by the reports and exports offered for download and by
+// the statement importer.
+
+// Quote a value for CSV output when it contains separators, quotes or newlines.
+const csvEscape = (value) => {
+    if (value == null) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Join an array of row arrays into CSV text.
+const toCSV = (rows) => rows.map((row) => row.map(csvEscape).join(",")).join("\r\n");
+
+// Parse CSV text into an array of row arrays. Handles quoted fields with
+// embedded separators, doubled quotes and newlines.
+const parseCSV = (text = "") => {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, "");
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i += 1;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines.
+    return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
+
+// Offer text content to the user as a file download.
+const downloadTextFile = (filename, content, mimeType = "text/csv") => {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.style.display = "none";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before revoking.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
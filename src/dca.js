@@ -0,0 +1,230 @@
+// Dollar-cost averaging analytics for the profit banner, built from the Strike
+// buy events of a summary: average entry and break-even price, best and worst
+// buys, BTC stacked per month, the detected recurring-buy schedule, and a
+// comparison with buying everything at once on the first purchase date.
+// Buys entered by hand as external holdings are not part of the schedule and
+// are left out; the break-even price still covers the whole stack.
+
+// Recurring schedules recognised from the typical gap between buys, in days.
+const DCA_CADENCES = [
+    { label: "Daily", days: 1 },
+    { label: "Weekly", days: 7 },
+    { label: "Every two weeks", days: 14 },
+    { label: "Monthly", days: 30.4 },
+];
+// A gap counts towards a schedule when it is within this fraction of it (at
+// least a day), and a schedule is reported when most gaps match.
+const DCA_CADENCE_TOLERANCE = 0.2;
+const DCA_CADENCE_MIN_SHARE = 0.6;
+const DCA_CADENCE_MIN_BUYS = 3;
+
+// Keep the section open across banner rebuilds, like the chart.
+let dcaPanelOpen = false;
+
+const medianOf = (values) => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Month key such as "2025-03" in local time.
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+
+// Find the schedule the gaps between buys follow, if any. Returns the cadence,
+// how many gaps match it, and the median amount spent per buy.
+const detectRecurringBuys = (buys) => {
+    const dated = buys.filter((buy) => buy.timestamp).sort((a, b) => a.timestamp - b.timestamp);
+    if (dated.length < DCA_CADENCE_MIN_BUYS) return null;
+
+    const gaps = dated.slice(1).map((buy, index) => (buy.timestamp - dated[index].timestamp) / DAY_MS);
+    const typicalGap = medianOf(gaps);
+    const cadence = DCA_CADENCES.find(
+        ({ days }) => Math.abs(typicalGap - days) <= Math.max(1, days * DCA_CADENCE_TOLERANCE)
+    );
+    if (!cadence) return null;
+
+    const tolerance = Math.max(1, cadence.days * DCA_CADENCE_TOLERANCE);
+    const matching = gaps.filter((gap) => Math.abs(gap - cadence.days) <= tolerance).length;
+    if (matching / gaps.length < DCA_CADENCE_MIN_SHARE) return null;
+
+    return {
+        cadence,
+        typicalGapDays: typicalGap,
+        matching,
+        gaps: gaps.length,
+        typicalAmount: medianOf(dated.map((buy) => buy.cost)),
+    };
+};
+
+// Compute the analytics for a summary, or null when it has no priced Strike
+// buys.
+const buildDcaAnalytics = (summary) => {
+    const currentPrice = summary.currentPrice;
+    const buys = summary.events
+        .filter((event) => event.type === "trade" && !event.external && event.amountBTC > 0 && event.entryPrice > 0)
+        .map((event) => ({
+            timestamp: event.timestamp ?? null,
+            amountBTC: event.amountBTC,
+            price: event.entryPrice,
+            cost: event.amountBTC * event.entryPrice,
+        }));
+    if (!buys.length) return null;
+
+    const totalBTC = buys.reduce((sum, buy) => sum + buy.amountBTC, 0);
+    const totalCost = buys.reduce((sum, buy) => sum + buy.cost, 0);
+    const byPrice = [...buys].sort((a, b) => a.price - b.price);
+
+    // Price at which the whole stack nets zero: remaining basis less what
+    // sells already realized, spread over the BTC still held.
+    const breakEvenPrice =
+        summary.holdingsBTC > 0 ? (summary.basisUSD - summary.realizedProfit) / summary.holdingsBTC : null;
+
+    const months = new Map();
+    buys
+        .filter((buy) => buy.timestamp)
+        .forEach((buy) => {
+            const key = monthKey(buy.timestamp);
+            const month = months.get(key) ?? { month: key, amountBTC: 0, cost: 0, buys: 0 };
+            month.amountBTC += buy.amountBTC;
+            month.cost += buy.cost;
+            month.buys += 1;
+            months.set(key, month);
+        });
+
+    // The same total spent in one buy at the first purchase's price.
+    const first = buys
+        .filter((buy) => buy.timestamp)
+        .reduce((earliest, buy) => (!earliest || buy.timestamp < earliest.timestamp ? buy : earliest), null);
+    const lumpSum = first
+        ? {
+            date: first.timestamp,
+            price: first.price,
+            amountBTC: totalCost / first.price,
+            value: (totalCost / first.price) * currentPrice,
+        }
+        : null;
+
+    return {
+        buys: buys.length,
+        totalBTC,
+        totalCost,
+        averagePrice: totalCost / totalBTC,
+        breakEvenPrice,
+        currentPrice,
+        dcaValue: totalBTC * currentPrice,
+        best: byPrice[0],
+        worst: byPrice[byPrice.length - 1],
+        months: [...months.values()].sort((a, b) => a.month.localeCompare(b.month)),
+        recurring: detectRecurringBuys(buys),
+        lumpSum,
+    };
+};
+
+const describeBuy = (buy, currentPrice) =>
+    `${formatFiat(buy.price)} on ${buy.timestamp ? buy.timestamp.toLocaleDateString() : "an unknown date"} ` +
+    `(${formatBTC(buy.amountBTC)}, ${formatPercent(((currentPrice - buy.price) / buy.price) * 100)} since)`;
+
+// Describe the recurring-buy schedule, or its absence.
+const describeRecurringBuys = (recurring) => {
+    if (!recurring) return "No regular schedule detected";
+    return (
+        `${recurring.cadence.label} (typically every ${recurring.typicalGapDays.toFixed(1)} days, ` +
+        `${recurring.matching} of ${recurring.gaps} gaps), usually ${formatFiat(recurring.typicalAmount)} per buy`
+    );
+};
+
+const describeLumpSum = (analytics) => {
+    const { lumpSum, dcaValue, totalCost } = analytics;
+    if (!lumpSum) return "Unavailable (no dated buys)";
+    const difference = dcaValue - lumpSum.value;
+    return (
+        `${formatFiat(totalCost)} on ${lumpSum.date.toLocaleDateString()} at ${formatFiat(lumpSum.price)} ` +
+        `would be ${formatBTC(lumpSum.amountBTC)} worth ${formatFiat(lumpSum.value)} now, ` +
+        `vs ${formatFiat(dcaValue)} from your buys (${difference >= 0 ? "DCA ahead by" : "DCA behind by"} ` +
+        `${formatFiat(Math.abs(difference))})`
+    );
+};
+
+// Build the table of BTC stacked per month.
+const createMonthlyStackTable = (months) => {
+    const tableEl = document.createElement("table");
+    const headRow = document.createElement("tr");
+    ["Month", "Buys", "Stacked", "Spent", "Average Price"].forEach((label) => {
+        const th = document.createElement("th");
+        th.textContent = label;
+        headRow.appendChild(th);
+    });
+    const thead = document.createElement("thead");
+    thead.appendChild(headRow);
+
+    const tbody = document.createElement("tbody");
+    months.forEach((month) => {
+        const tr = document.createElement("tr");
+        [
+            month.month,
+            String(month.buys),
+            formatSats(month.amountBTC),
+            formatFiat(month.cost),
+            formatFiat(month.cost / month.amountBTC),
+        ].forEach((text) => {
+            const td = document.createElement("td");
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+
+    tableEl.replaceChildren(thead, tbody);
+    return tableEl;
+};
+
+// Build the collapsible DCA analytics section for the banner.
+const createDcaSection = (summary) => {
+    const details = document.createElement("details");
+    details.className = "strike-profit-dca";
+    const title = document.createElement("summary");
+    title.textContent = "DCA Analytics";
+    details.appendChild(title);
+    details.addEventListener("toggle", () => {
+        dcaPanelOpen = details.open;
+    });
+    details.open = dcaPanelOpen;
+
+    const analytics = buildDcaAnalytics(summary);
+    if (!analytics) {
+        const empty = document.createElement("div");
+        empty.textContent = "No priced buys yet.";
+        details.appendChild(empty);
+        return details;
+    }
+
+    const makeLine = (label, text) => {
+        const div = document.createElement("div");
+        div.textContent = `${label}: ${text}`;
+        return div;
+    };
+
+    details.append(
+        makeLine(
+            "Average Entry",
+            `${formatFiat(analytics.averagePrice)} over ${analytics.buys} buys (${formatBTC(analytics.totalBTC)} ` +
+            `for ${formatFiat(analytics.totalCost)})`
+        ),
+        makeLine(
+            "Break-even Price",
+            analytics.breakEvenPrice == null ? "n/a (nothing held)" : formatFiat(Math.max(0, analytics.breakEvenPrice))
+        ),
+        makeLine("Best Buy", describeBuy(analytics.best, analytics.currentPrice)),
+        makeLine("Worst Buy", describeBuy(analytics.worst, analytics.currentPrice)),
+        makeLine("Recurring Buys", describeRecurringBuys(analytics.recurring)),
+        makeLine("Lump Sum Instead", describeLumpSum(analytics))
+    );
+    if (analytics.months.length) details.appendChild(createMonthlyStackTable(analytics.months));
+
+    debug(
+        `DCA analytics: ${analytics.buys} buys, average ${formatFiat(analytics.averagePrice)}, ` +
+        `${describeRecurringBuys(analytics.recurring)}`
+    );
+    return details;
+};
@@ -0,0 +1,189 @@
+// Strike's transactions page as the content script reads it: how to find the
+// tabs, their panels and tables, and which columns each table needs. The
+// markup is not ours and changes without notice, so each known layout is kept
+// as a numbered variant. The first variant whose tabs are all on the page is
+// used, and a table is validated against it before any figures are computed
+// from it; when something does not match, the banner explains what instead of
+// showing wrong numbers.
+
+// Layout variants, newest first. Tabs are matched by their label, ignoring
+// case; a column is the first header containing one of its keywords. Missing
+// required columns fail validation; missing optional ones read as -1.
+const DOM_SCHEMAS = [
+    {
+        version: 1,
+        description: "Trading, Receiving and Sending tabs, each with a table",
+        selectors: {
+            tab: '[role="tab"]',
+            activeTab: '[role="tab"][aria-selected="true"]',
+            table: "table",
+            headerCell: "thead th",
+            row: "tbody tr",
+        },
+        tables: {
+            trading: {
+                tab: ["Trading"],
+                columns: {
+                    sold: { keywords: ["sold"], format: "amount", required: true },
+                    bought: { keywords: ["bought"], format: "amount", required: true },
+                    completed: { keywords: ["completed", "date", "filled"], format: "date", required: true },
+                    fee: { keywords: ["fee"], format: "amount" },
+                },
+            },
+            receiving: {
+                tab: ["Receiving"],
+                columns: {
+                    amount: { keywords: ["amount"], format: "btc", required: true },
+                    completed: { keywords: ["completed", "date"], format: "date", required: true },
+                    note: { keywords: ["description", "note", "memo"], format: "text" },
+                },
+            },
+            sending: {
+                tab: ["Sending"],
+                columns: {
+                    amount: { keywords: ["amount"], format: "btc", required: true },
+                    fee: { keywords: ["fee"], format: "btc" },
+                    completed: { keywords: ["completed", "date"], format: "date", required: true },
+                    note: { keywords: ["description", "note", "memo"], format: "text" },
+                },
+            },
+        },
+    },
+];
+
+// Rows sampled when checking value formats. A column fails when most of its
+// non-empty sampled cells do not match, so the odd placeholder ("—") is fine.
+const DOM_VALIDATION_SAMPLE_ROWS = 20;
+
+// Check whether a cell's text is denominated in BTC rather than fiat.
+const isBTCText = (str = "") => /₿|btc/i.test(str);
+
+// Extract a Date instance from a table cell that contains the completed time.
+const parseDateFromCell = (cell) => {
+    if (!cell) return null;
+
+    const withTitle = cell.querySelector('[title]');
+    if (withTitle?.getAttribute("title")) {
+        const ts = Date.parse(withTitle.getAttribute("title"));
+        if (!Number.isNaN(ts)) return new Date(ts);
+    }
+
+    const text = cell.textContent?.trim();
+    if (!text) return null;
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? null : new Date(parsed);
+};
+
+const PLAIN_NUMBER_PATTERN = /^[-−+]?[\d.,\s]+$/;
+
+// Value formats a column can declare, with how a cell is checked.
+const DOM_VALUE_FORMATS = {
+    amount: {
+        description: "BTC or fiat amounts",
+        test: (cell, text) =>
+            /\d/.test(text) &&
+            (isBTCText(text) || Boolean(detectFiatCurrency(text)) || PLAIN_NUMBER_PATTERN.test(text)),
+    },
+    btc: {
+        description: "BTC amounts",
+        test: (cell, text) => /\d/.test(text) && (isBTCText(text) || PLAIN_NUMBER_PATTERN.test(text)),
+    },
+    date: { description: "dates", test: (cell) => Boolean(parseDateFromCell(cell)) },
+    text: { description: "text", test: () => true },
+};
+
+// Find the tab of a table under a schema variant.
+const findSchemaTab = (schema, tableName, root = document) => {
+    const labels = (schema.tables[tableName]?.tab ?? []).map((label) => label.toLowerCase());
+    return [...root.querySelectorAll(schema.selectors.tab)].find((tab) =>
+        labels.includes(tab.textContent.trim().toLowerCase())
+    ) ?? null;
+};
+
+// Pick the first variant whose tabs are all on the page, or null.
+const detectDomSchema = (root = document) =>
+    DOM_SCHEMAS.find((schema) =>
+        Object.keys(schema.tables).every((tableName) => findSchemaTab(schema, tableName, root))
+    ) ?? null;
+
+// Describe what the page was expected to look like, for the warning when no
+// variant matches.
+const describeDomSchemas = () =>
+    DOM_SCHEMAS.map((schema) => {
+        const tabs = Object.values(schema.tables).map((table) => `"${table.tab[0]}"`);
+        return `layout ${schema.version} expects the tabs ${tabs.join(", ")}`;
+    }).join("; ");
+
+// Resolve a table's columns to indexes from its header cells.
+const findSchemaColumns = (table, schema, tableName) => {
+    const headers = [...table.querySelectorAll(schema.selectors.headerCell)].map(
+        (th) => th.textContent?.trim().toLowerCase() ?? ""
+    );
+    return Object.fromEntries(
+        Object.entries(schema.tables[tableName].columns).map(([key, column]) => [
+            key,
+            headers.findIndex((header) => column.keywords.some((keyword) => header.includes(keyword))),
+        ])
+    );
+};
+
+// Check a table against its schema: required columns are present and sampled
+// values have the declared formats. Returns a list of problems, empty when the
+// table can be read.
+const validateSchemaTable = (table, schema, tableName) => {
+    const tableSchema = schema.tables[tableName];
+    const label = tableSchema.tab[0];
+    const headers = [...table.querySelectorAll(schema.selectors.headerCell)].map((th) => th.textContent.trim());
+    const columns = findSchemaColumns(table, schema, tableName);
+    const rows = [...table.querySelectorAll(schema.selectors.row)]
+        .filter((row) => row.querySelectorAll("td").length > 1)
+        .slice(0, DOM_VALIDATION_SAMPLE_ROWS);
+    const problems = [];
+
+    Object.entries(tableSchema.columns).forEach(([key, column]) => {
+        const index = columns[key];
+        if (index < 0) {
+            if (column.required) {
+                const names = column.keywords.map((keyword) => `"${keyword}"`).join(" or ");
+                problems.push(`The ${label} table has no ${names} column.`);
+            }
+            return;
+        }
+
+        const format = DOM_VALUE_FORMATS[column.format];
+        const cells = rows
+            .map((row) => row.querySelectorAll("td")[index])
+            .filter((cell) => cell?.textContent.trim());
+        const failing = cells.filter((cell) => !format.test(cell, cell.textContent.trim()));
+        if (failing.length > cells.length / 2) {
+            problems.push(
+                `The ${label} table's "${headers[index]}" column should hold ${format.description}, ` +
+                `but shows values like "${failing[0].textContent.trim()}".`
+            );
+        }
+    });
+
+    return problems;
+};
+
+// Build the warning shown in place of the profit banner, listing what did not
+// match.
+const createDomWarningBanner = (problems) => {
+    const banner = document.createElement("div");
+    banner.id = "strike-profit-banner";
+    banner.className = "strike-profit-warning";
+    banner.setAttribute("role", "alert");
+
+    const title = document.createElement("p");
+    title.textContent =
+        "Strike Profit Tracker: the transactions page does not look as expected, " +
+        "so no profit figures are shown. Strike may have changed its layout.";
+    const list = document.createElement("ul");
+    problems.forEach((problem) => {
+        const item = document.createElement("li");
+        item.textContent = problem;
+        list.appendChild(item);
+    });
+    banner.append(title, list);
+    return banner;
+};
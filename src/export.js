@@ -0,0 +1,242 @@
+// Ledger exports: write the normalized trade, sell, receive and send events to
+// the CSV import formats of common crypto tax tools and to a JSON document.
+//
+// JSON schema ("strike-profit-tracker/events", version 4):
+//   {
+//     "schema": "strike-profit-tracker/events",
+//     "version": 4,
+//     "exportedAt": ISO-8601 string,
+//     "fiatCurrency": ISO 4217 code of the account currency, e.g. "USD" or "EUR",
+//     "events": [{
+//       "timestamp": ISO-8601 string or null when Strike showed no date,
+//       "type": "trade" | "sell" | "receive" | "send",
+//       "amountBTC": signed number, positive for BTC in and negative for BTC out,
+//       "price": fiat price per BTC used for the event, or null,
+//       "priceSource": "ratio" | "historical" | "statement" | "fallback" | "manual" | "missing",
+//       "valueFiat": |amountBTC| * price (sell proceeds for sells), or null,
+//       "fee": { "amount": number, "currency": "BTC" or the fiat code } or null,
+//       "category": transfer category (see transfers.js) for receives and
+//                   sends, e.g. "self", "income", "gift"; null for trades,
+//       "source": "strike" or "external" for entries added by hand,
+//       "note": the transfer or external entry note, or null
+//     }]
+//   }
+//
+// Versions, each keeping every field of the one before:
+//   1  "exportedAt", "fiatCurrency" and events with "timestamp", "type",
+//      "amountBTC", "price", "priceSource" and "valueFiat". "fiatCurrency"
+//      was "USD" until other account currencies were supported, and
+//      "priceSource" gained "statement" with statement imports; neither
+//      changed what a field means, so neither bumped the version.
+//   2  "fee". Trade fees are in fiat; a send's fee is its network fee in BTC,
+//      which is not included in its amountBTC.
+//   3  "category", from the transfer classification.
+//   4  "source" and "note", for entries added by hand, whose "priceSource"
+//      is "manual".
+//
+// Price sources: "ratio" is the fiat/BTC ratio of the trade itself,
+// "historical" a Bitfinex candle near the timestamp, "statement" the BTC price
+// printed on an imported Strike statement, "fallback" the spot price at refresh
+// time, "manual" the price of an external entry as entered, and "missing"
+// means no price could be determined.
+
+const EXPORT_SCHEMA = "strike-profit-tracker/events";
+const EXPORT_SCHEMA_VERSION = 4;
+
+// Available export formats and the labels shown in the banner.
+const EXPORT_FORMATS = {
+    generic: "Generic CSV",
+    koinly: "Koinly CSV",
+    cointracker: "CoinTracker CSV",
+    json: "JSON",
+};
+
+// Return the fiat price per BTC recorded on an event.
+const getEventPrice = (event) => {
+    const price = event.type === "sell" ? event.exitPrice : event.entryPrice;
+    return Number.isFinite(price) && price > 0 ? price : null;
+};
+
+// Return the fiat value of an event, preferring the actual sell proceeds.
+const getEventValue = (event) => {
+    if (event.type === "sell" && Number.isFinite(event.proceedsUSD)) return event.proceedsUSD;
+    const price = getEventPrice(event);
+    return price == null ? null : Math.abs(event.amountBTC) * price;
+};
+
+// The fee paid on an event as `{ amount, currency }`, or null when there is
+// none: fiat for trades and sells, the network fee in BTC for sends.
+const getEventFee = (event) => {
+    if (event.type === "send") return event.feeBTC > 0 ? { amount: event.feeBTC, currency: "BTC" } : null;
+    return event.feeFiat > 0 ? { amount: event.feeFiat, currency: fiatCurrency } : null;
+};
+
+// Fee amount and currency cells for the CSV formats.
+const feeCells = (event) => {
+    const fee = getEventFee(event);
+    if (!fee) return ["", ""];
+    return [formatAmount(fee.amount, fee.currency === "BTC" ? 8 : 2), fee.currency];
+};
+
+// Tax tool labels for transfer categories; categories without one (purchases,
+// withdrawals, self-transfers) are exported as plain deposits and withdrawals.
+const KOINLY_LABELS = { income: "income", gift: "gift" };
+const COINTRACKER_TAGS = { income: "income", gift: "gift", spend: "payment" };
+
+const pad2 = (value) => String(value).padStart(2, "0");
+
+// "2024-01-31 14:05 UTC", the date layout Koinly's universal template uses.
+const formatKoinlyDate = (date) =>
+    `${date.getUTCFullYear()}-${pad2(date.getUTCMonth() + 1)}-${pad2(date.getUTCDate())} ` +
+    `${pad2(date.getUTCHours())}:${pad2(date.getUTCMinutes())} UTC`;
+
+// "01/31/2024 14:05:00", the UTC date layout CoinTracker's template uses.
+const formatCoinTrackerDate = (date) =>
+    `${pad2(date.getUTCMonth() + 1)}/${pad2(date.getUTCDate())}/${date.getUTCFullYear()} ` +
+    `${pad2(date.getUTCHours())}:${pad2(date.getUTCMinutes())}:${pad2(date.getUTCSeconds())}`;
+
+const formatAmount = (value, digits) => (value == null ? "" : Number(value).toFixed(digits));
+
+// Tax tools reject rows without a date, so those events are left out of CSVs.
+const datedEvents = (events) => events.filter((event) => event.timestamp instanceof Date);
+
+const toGenericCSV = (events) =>
+    toCSV([
+        [
+            "Timestamp",
+            "Type",
+            "Amount (BTC)",
+            `Price (${fiatCurrency})`,
+            "Price Source",
+            `Value (${fiatCurrency})`,
+            "Fee",
+            "Fee Currency",
+            "Category",
+        ],
+        ...events.map((event) => [
+            event.timestamp ? event.timestamp.toISOString() : "",
+            event.type,
+            formatAmount(event.amountBTC, 8),
+            formatAmount(getEventPrice(event), 2),
+            event.priceSource ?? "missing",
+            formatAmount(getEventValue(event), 2),
+            ...feeCells(event),
+            event.category ?? "",
+        ]),
+    ]);
+
+// Koinly universal template: buys and sells are BTC/fiat swaps; receives and
+// sends are plain deposits and withdrawals carrying their net worth.
+const toKoinlyCSV = (events) =>
+    toCSV([
+        [
+            "Date",
+            "Sent Amount",
+            "Sent Currency",
+            "Received Amount",
+            "Received Currency",
+            "Fee Amount",
+            "Fee Currency",
+            "Net Worth Amount",
+            "Net Worth Currency",
+            "Label",
+            "Description",
+            "TxHash",
+        ],
+        ...datedEvents(events).map((event) => {
+            const btc = formatAmount(Math.abs(event.amountBTC), 8);
+            const value = formatAmount(getEventValue(event), 2);
+            const description =
+                `${event.external ? "External" : "Strike"} ${event.type} (price: ${event.priceSource ?? "missing"})`;
+            const row = {
+                trade: [value, fiatCurrency, btc, "BTC"],
+                sell: [btc, "BTC", value, fiatCurrency],
+                receive: ["", "", btc, "BTC"],
+                send: [btc, "BTC", "", ""],
+            }[event.type] ?? ["", "", "", ""];
+            return [
+                formatKoinlyDate(event.timestamp),
+                ...row,
+                ...feeCells(event),
+                value,
+                value ? fiatCurrency : "",
+                KOINLY_LABELS[event.category] ?? "",
+                description,
+                "",
+            ];
+        }),
+    ]);
+
+// CoinTracker template: received/sent pairs, fiat legs included for trades.
+const toCoinTrackerCSV = (events) =>
+    toCSV([
+        [
+            "Date",
+            "Received Quantity",
+            "Received Currency",
+            "Sent Quantity",
+            "Sent Currency",
+            "Fee Amount",
+            "Fee Currency",
+            "Tag",
+        ],
+        ...datedEvents(events).map((event) => {
+            const btc = formatAmount(Math.abs(event.amountBTC), 8);
+            const value = formatAmount(getEventValue(event), 2);
+            const row = {
+                trade: [btc, "BTC", value, fiatCurrency],
+                sell: [value, fiatCurrency, btc, "BTC"],
+                receive: [btc, "BTC", "", ""],
+                send: ["", "", btc, "BTC"],
+            }[event.type] ?? ["", "", "", ""];
+            return [
+                formatCoinTrackerDate(event.timestamp),
+                ...row,
+                ...feeCells(event),
+                COINTRACKER_TAGS[event.category] ?? "",
+            ];
+        }),
+    ]);
+
+const toExportJSON = (events) =>
+    JSON.stringify(
+        {
+            schema: EXPORT_SCHEMA,
+            version: EXPORT_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            fiatCurrency,
+            events: events.map((event) => ({
+                timestamp: event.timestamp ? event.timestamp.toISOString() : null,
+                type: event.type,
+                amountBTC: event.amountBTC,
+                price: getEventPrice(event),
+                priceSource: event.priceSource ?? "missing",
+                valueFiat: getEventValue(event),
+                fee: getEventFee(event),
+                category: event.category ?? null,
+                source: event.external ? "external" : "strike",
+                note: event.note || null,
+            })),
+        },
+        null,
+        2
+    );
+
+// Serialize events in the requested format and return the file to download.
+const buildLedgerExport = (events, format) => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    switch (format) {
+        case "koinly":
+            return { filename: `strike-koinly-${stamp}.csv`, content: toKoinlyCSV(events), mimeType: "text/csv" };
+        case "cointracker":
+            return {
+                filename: `strike-cointracker-${stamp}.csv`,
+                content: toCoinTrackerCSV(events),
+                mimeType: "text/csv",
+            };
+        case "json":
+            return { filename: `strike-ledger-${stamp}.json`, content: toExportJSON(events), mimeType: "application/json" };
+        default:
+            return { filename: `strike-ledger-${stamp}.csv`, content: toGenericCSV(events), mimeType: "text/csv" };
+    }
+};
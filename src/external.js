@@ -0,0 +1,79 @@
+// Manual entries for BTC bought or sold outside Strike (other exchanges,
+// hardware wallets), edited on the options page and merged into the event
+// list before the summary is built. Prices are in the account currency. The
+// entries stay in local storage, and the transactions page and import page
+// pick up edits as they are saved.
+
+const EXTERNAL_ENTRIES_KEY = "externalEntries";
+
+const EXTERNAL_ENTRY_TYPES = { acquisition: "Acquisition", disposal: "Disposal" };
+
+// Return a clean entry, or null when it is incomplete. Dates are kept as the
+// "YYYY-MM-DD" string entered; a total cost is turned into a price per BTC.
+const normalizeExternalEntry = (entry) => {
+    const amountBTC = Math.abs(Number(entry?.amountBTC));
+    const price = Number(entry?.price);
+    const total = Number(entry?.total);
+    const unitPrice = price > 0 ? price : total / amountBTC;
+    if (!EXTERNAL_ENTRY_TYPES[entry?.type] || !/^\d{4}-\d{2}-\d{2}$/.test(entry?.date ?? "")) return null;
+    if (!(amountBTC > 0) || !(unitPrice > 0) || !Number.isFinite(unitPrice)) return null;
+
+    return {
+        id: String(entry.id),
+        type: entry.type,
+        date: entry.date,
+        amountBTC,
+        price: unitPrice,
+        note: String(entry.note ?? "").trim(),
+    };
+};
+
+const normalizeExternalEntries = (entries) =>
+    (Array.isArray(entries) ? entries : []).map(normalizeExternalEntry).filter(Boolean);
+
+const loadExternalEntries = async () => {
+    try {
+        const { [EXTERNAL_ENTRIES_KEY]: entries } = await browser.storage.local.get(EXTERNAL_ENTRIES_KEY);
+        return normalizeExternalEntries(entries);
+    } catch (error) {
+        console.warn("Failed to load external entries:", error);
+        return [];
+    }
+};
+
+const saveExternalEntries = async (entries) => {
+    const normalized = normalizeExternalEntries(entries);
+    await browser.storage.local.set({ [EXTERNAL_ENTRIES_KEY]: normalized });
+    return normalized;
+};
+
+// Call `callback` with the normalized entries whenever they are edited.
+const onExternalEntriesChanged = (callback) => {
+    browser.storage.onChanged.addListener((changes, area) => {
+        if (area !== "local" || !changes[EXTERNAL_ENTRIES_KEY]) return;
+        callback(normalizeExternalEntries(changes[EXTERNAL_ENTRIES_KEY].newValue));
+    });
+};
+
+// Turn entries into summary events: acquisitions are buys and disposals are
+// sells, flagged `external` and priced as entered. Entries are dated at local
+// midnight.
+const externalEntriesToEvents = (entries) =>
+    entries.map((entry) => {
+        const event = {
+            id: `external:${entry.id}`,
+            external: true,
+            timestamp: new Date(`${entry.date}T00:00:00`),
+            priceSource: "manual",
+            note: entry.note,
+        };
+        return entry.type === "acquisition"
+            ? { ...event, type: "trade", amountBTC: entry.amountBTC, entryPrice: entry.price }
+            : {
+                ...event,
+                type: "sell",
+                amountBTC: -entry.amountBTC,
+                exitPrice: entry.price,
+                proceedsUSD: entry.amountBTC * entry.price,
+            };
+    });
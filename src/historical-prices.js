@@ -0,0 +1,335 @@
+// Historical price lookups for the background script. Requested timestamps are
+// grouped into ranged Bitfinex candle requests, sent through a throttled queue
+// with backoff, and the per-minute prices found are persisted per currency so
+// each minute is only fetched once. Minutes without a candle nearby are only
+// remembered in memory, so they are looked up again later. Daily closes for
+// the value chart come from 1-day candles through the same queue, with their
+// own cache.
+
+const HISTORICAL_CANDLES_URL = (currency, timeframe = "1m") =>
+  `https://api-pub.bitfinex.com/v2/candles/trade:${timeframe}:tBTC${currency}/hist`;
+const HISTORICAL_CACHE_KEY = "historicalPriceCache";
+// Fiat currencies Bitfinex has BTC candles for.
+const HISTORICAL_CURRENCIES = ["USD", "EUR", "GBP"];
+
+// A candle within this many minutes of a timestamp may price it, unless the
+// "historicalWindowMinutes" setting says otherwise.
+const HISTORICAL_WINDOW_MINUTES = 10;
+// Bitfinex returns at most 10000 candles per request.
+const HISTORICAL_MAX_SPAN_MINUTES = 10000;
+// Timestamps further apart than this get their own request rather than
+// downloading every candle in between.
+const HISTORICAL_MERGE_GAP_MINUTES = 6 * 60;
+// Public candle endpoints allow roughly 30 requests a minute.
+const HISTORICAL_MIN_REQUEST_GAP_MS = 2000;
+const HISTORICAL_MAX_ATTEMPTS = 4;
+// Oldest entries of a currency are evicted beyond this many cached minutes.
+const HISTORICAL_CACHE_LIMIT = 50000;
+
+// Currency -> Map of minute bucket -> price. Only prices found are kept here.
+let historicalCache = null;
+let historicalCacheSaveTimer = null;
+// Currency -> Map of minute bucket -> widest window, in minutes, searched
+// without finding a candle. Not persisted; a wider window searches again.
+const historicalMisses = new Map();
+
+// Whether a price is worth caching; caches saved by older versions hold nulls.
+const isCachedPrice = (price) => Number.isFinite(price) && price > 0;
+
+const loadHistoricalCache = async () => {
+  if (historicalCache) return historicalCache;
+  historicalCache = new Map();
+  try {
+    const { [HISTORICAL_CACHE_KEY]: saved } = await browser.storage.local.get(HISTORICAL_CACHE_KEY);
+    Object.entries(saved ?? {}).forEach(([currency, prices]) => {
+      if (!prices || typeof prices !== "object") return;
+      historicalCache.set(
+        currency,
+        new Map(
+          Object.entries(prices)
+            .filter(([, price]) => isCachedPrice(price))
+            .map(([minute, price]) => [Number(minute), price])
+        )
+      );
+    });
+  } catch (error) {
+    console.warn("Failed to load historical price cache:", error);
+  }
+  return historicalCache;
+};
+
+// The minute cache for one currency, created on first use.
+const getCurrencyCache = (cache, currency) => {
+  if (!cache.has(currency)) cache.set(currency, new Map());
+  return cache.get(currency);
+};
+
+// Persist the cache shortly after the last change so a batch saves once.
+const scheduleHistoricalCacheSave = () => {
+  clearTimeout(historicalCacheSaveTimer);
+  historicalCacheSaveTimer = setTimeout(async () => {
+    historicalCache.forEach((prices) => {
+      while (prices.size > HISTORICAL_CACHE_LIMIT) {
+        prices.delete(prices.keys().next().value);
+      }
+    });
+    try {
+      await browser.storage.local.set({
+        [HISTORICAL_CACHE_KEY]: Object.fromEntries(
+          [...historicalCache.entries()].map(([currency, prices]) => [currency, Object.fromEntries(prices)])
+        ),
+      });
+    } catch (error) {
+      console.warn("Failed to save historical price cache:", error);
+    }
+  }, 1000);
+};
+
+// Serialize requests so consecutive calls stay HISTORICAL_MIN_REQUEST_GAP_MS
+// apart, retrying rate-limit and server errors with exponential backoff.
+let historicalQueue = Promise.resolve();
+let lastHistoricalRequestAt = 0;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const throttledFetchJSON = (url) => {
+  const run = async () => {
+    for (let attempt = 1; attempt <= HISTORICAL_MAX_ATTEMPTS; attempt += 1) {
+      const gap = Date.now() - lastHistoricalRequestAt;
+      if (gap < HISTORICAL_MIN_REQUEST_GAP_MS) await sleep(HISTORICAL_MIN_REQUEST_GAP_MS - gap);
+      lastHistoricalRequestAt = Date.now();
+
+      const response = await fetch(url);
+      if (response.ok) return response.json();
+
+      const retryable = response.status === 429 || response.status >= 500;
+      if (!retryable || attempt === HISTORICAL_MAX_ATTEMPTS) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const retryAfter = Number(response.headers.get("Retry-After"));
+      const backoff = Number.isFinite(retryAfter) && retryAfter > 0
+        ? retryAfter * 1000
+        : HISTORICAL_MIN_REQUEST_GAP_MS * 2 ** attempt;
+      console.warn(`Historical price request got HTTP ${response.status}; retrying in ${backoff}ms`);
+      await sleep(backoff);
+    }
+    return null;
+  };
+
+  const result = historicalQueue.then(run, run);
+  // Keep the queue alive after failures.
+  historicalQueue = result.catch(() => {});
+  return result;
+};
+
+// Group sorted minute buckets into ranges that each fit one candle request,
+// including the lookup window on both ends.
+const groupMinutesIntoRanges = (minutes, windowMinutes = HISTORICAL_WINDOW_MINUTES) => {
+  const ranges = [];
+  let current = null;
+
+  minutes.forEach((minute) => {
+    const start = minute - windowMinutes;
+    const end = minute + windowMinutes;
+    const lastMinute = current?.minutes[current.minutes.length - 1];
+    if (
+      current &&
+      minute - lastMinute <= HISTORICAL_MERGE_GAP_MINUTES &&
+      end - current.start <= HISTORICAL_MAX_SPAN_MINUTES
+    ) {
+      current.end = end;
+      current.minutes.push(minute);
+    } else {
+      current = { start, end, minutes: [minute] };
+      ranges.push(current);
+    }
+  });
+
+  return ranges;
+};
+
+// Pick the candle closest to `minute` within the window and return its close.
+const closestCandlePrice = (candles, minute, windowMinutes = HISTORICAL_WINDOW_MINUTES) => {
+  const targetMs = minute * 60000;
+  const windowMs = windowMinutes * 60000;
+  let closest = null;
+  let closestDiff = Number.POSITIVE_INFINITY;
+
+  candles.forEach((candle) => {
+    if (!Array.isArray(candle) || candle.length < 3) return;
+    const diff = Math.abs(candle[0] - targetMs);
+    if (diff <= windowMs && diff < closestDiff) {
+      closest = candle;
+      closestDiff = diff;
+    }
+  });
+
+  return closest ? closest[2] ?? closest[1] ?? null : null;
+};
+
+// Fetch one range of candles and record a price for each of its minutes, or
+// the window searched for minutes without a candle in it. Failed requests are
+// not recorded so the minutes are retried next time.
+const fetchCandleRange = async (range, cache, misses, { currency, windowMinutes }) => {
+  const url =
+    `${HISTORICAL_CANDLES_URL(currency)}?start=${Math.max(0, range.start * 60000)}&end=${range.end * 60000}` +
+    `&limit=${HISTORICAL_MAX_SPAN_MINUTES}&sort=1`;
+
+  try {
+    const candles = await throttledFetchJSON(url);
+    if (!Array.isArray(candles)) throw new Error("unexpected candle response");
+    range.minutes.forEach((minute) => {
+      const price = closestCandlePrice(candles, minute, windowMinutes);
+      if (isCachedPrice(price)) {
+        cache.set(minute, price);
+      } else {
+        misses.set(minute, windowMinutes);
+      }
+    });
+    return true;
+  } catch (error) {
+    console.warn(`Failed to fetch historical prices for ${range.minutes.length} timestamps:`, error);
+    return false;
+  }
+};
+
+// Resolve prices in `currency` for the given timestamps (milliseconds).
+// Returns an object keyed by the requested timestamps; unknown prices are null.
+const getHistoricalPrices = async (
+  timestamps = [],
+  { currency = "USD", windowMinutes = HISTORICAL_WINDOW_MINUTES } = {}
+) => {
+  const minutesFor = new Map();
+  timestamps
+    .filter((timestamp) => Number.isFinite(timestamp))
+    .forEach((timestamp) => minutesFor.set(timestamp, Math.floor(timestamp / 60000)));
+
+  if (!HISTORICAL_CURRENCIES.includes(currency)) {
+    console.warn(`No historical ${currency} prices available`);
+    return Object.fromEntries([...minutesFor.keys()].map((timestamp) => [timestamp, null]));
+  }
+
+  const cache = getCurrencyCache(await loadHistoricalCache(), currency);
+  const misses = getCurrencyCache(historicalMisses, currency);
+
+  const missing = [...new Set(minutesFor.values())]
+    .filter((minute) => !cache.has(minute) && !(misses.get(minute) >= windowMinutes))
+    .sort((a, b) => a - b);
+
+  if (missing.length) {
+    const ranges = groupMinutesIntoRanges(missing, windowMinutes);
+    console.debug(
+      `Fetching ${missing.length} historical ${currency} minutes in ${ranges.length} candle requests`
+    );
+    let fetchedAny = false;
+    for (const range of ranges) {
+      fetchedAny = (await fetchCandleRange(range, cache, misses, { currency, windowMinutes })) || fetchedAny;
+    }
+    if (fetchedAny) scheduleHistoricalCacheSave();
+  }
+
+  return Object.fromEntries(
+    [...minutesFor.entries()].map(([timestamp, minute]) => [timestamp, cache.get(minute) ?? null])
+  );
+};
+
+const DAILY_CACHE_KEY = "dailyPriceCache";
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Bitfinex returns at most 10000 candles per request, over 27 years of days.
+const DAILY_MAX_CANDLES = 10000;
+
+// Currency -> Map of UTC day start (milliseconds) -> close. Only finished days
+// with a candle are stored.
+let dailyCache = null;
+// Currency -> Set of days Bitfinex had no candle for. Not persisted, so they
+// are asked for again once the background script restarts.
+const dailyMisses = new Map();
+
+const loadDailyCache = async () => {
+  if (dailyCache) return dailyCache;
+  dailyCache = new Map();
+  try {
+    const { [DAILY_CACHE_KEY]: saved } = await browser.storage.local.get(DAILY_CACHE_KEY);
+    Object.entries(saved ?? {}).forEach(([currency, prices]) => {
+      if (!prices || typeof prices !== "object") return;
+      dailyCache.set(
+        currency,
+        new Map(
+          Object.entries(prices)
+            .filter(([, price]) => isCachedPrice(price))
+            .map(([day, price]) => [Number(day), price])
+        )
+      );
+    });
+  } catch (error) {
+    console.warn("Failed to load daily price cache:", error);
+  }
+  return dailyCache;
+};
+
+const saveDailyCache = async () => {
+  try {
+    await browser.storage.local.set({
+      [DAILY_CACHE_KEY]: Object.fromEntries(
+        [...dailyCache.entries()].map(([currency, prices]) => [currency, Object.fromEntries(prices)])
+      ),
+    });
+  } catch (error) {
+    console.warn("Failed to save daily price cache:", error);
+  }
+};
+
+// Resolve daily closes in `currency` for every finished UTC day between
+// `start` and `end` (milliseconds). Returns an object keyed by day start;
+// unknown days are null. Today is left out since its close is not final.
+const getDailyPrices = async (start, end, { currency = "USD" } = {}) => {
+  const today = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+  const firstDay = Math.floor(start / DAY_MS) * DAY_MS;
+  const lastDay = Math.min(Math.floor(end / DAY_MS) * DAY_MS, today - DAY_MS);
+  const days = [];
+  for (let day = firstDay; day <= lastDay; day += DAY_MS) days.push(day);
+
+  if (!HISTORICAL_CURRENCIES.includes(currency)) {
+    console.warn(`No daily ${currency} prices available`);
+    return Object.fromEntries(days.map((day) => [day, null]));
+  }
+
+  const cache = getCurrencyCache(await loadDailyCache(), currency);
+  if (!dailyMisses.has(currency)) dailyMisses.set(currency, new Set());
+  const misses = dailyMisses.get(currency);
+  const missing = days.filter((day) => !cache.has(day) && !misses.has(day));
+
+  if (missing.length) {
+    const from = missing[0];
+    const to = missing[missing.length - 1];
+    const url =
+      `${HISTORICAL_CANDLES_URL(currency, "1D")}?start=${from}&end=${to + DAY_MS - 1}` +
+      `&limit=${DAILY_MAX_CANDLES}&sort=1`;
+    console.debug(`Fetching ${missing.length} daily ${currency} closes`);
+    try {
+      const candles = await throttledFetchJSON(url);
+      if (!Array.isArray(candles)) throw new Error("unexpected candle response");
+      const closes = new Map(
+        candles
+          .filter((candle) => Array.isArray(candle) && candle.length >= 3)
+          .map((candle) => [Math.floor(candle[0] / DAY_MS) * DAY_MS, candle[2]])
+      );
+      days
+        .filter((day) => day >= from && day <= to && !cache.has(day))
+        .forEach((day) => {
+          const close = closes.get(day);
+          if (isCachedPrice(close)) {
+            cache.set(day, close);
+          } else {
+            misses.add(day);
+          }
+        });
+      await saveDailyCache();
+    } catch (error) {
+      console.warn(`Failed to fetch daily ${currency} prices:`, error);
+    }
+  }
+
+  return Object.fromEntries(days.map((day) => [day, cache.get(day) ?? null]));
+};
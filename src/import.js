@@ -0,0 +1,117 @@
+// Statement import page: parses a Strike statement CSV chosen by the user and
+// renders the same profit banner the transactions page shows.
+
+const fileInput = document.getElementById("statement-file");
+const statusElem = document.getElementById("import-status");
+const resultElem = document.getElementById("import-result");
+
+// Events from every statement imported since the page opened, by id, and the
+// price of the last import, so a method change can redraw.
+let importedState = null;
+// Holdings entered by hand on the options page, merged into every summary.
+let importExternalEvents = [];
+let importCostBasisMethod = DEFAULT_COST_BASIS_METHOD;
+
+const setStatus = (text, isError = false) => {
+    statusElem.textContent = text;
+    statusElem.classList.toggle("error", isError);
+};
+
+// Add a statement's events to `previous` in a new map, skipping rows whose id
+// is already there, so loading the same or an overlapping statement again
+// does not count its transactions twice. Returns the map and the new events.
+const mergeImportedEvents = (previous, events) => {
+    const merged = new Map(previous);
+    const added = events.filter((event) => !merged.has(event.id));
+    added.forEach((event) => merged.set(event.id, event));
+    return { merged, added };
+};
+
+// Split the imported events back into the lists buildSummary takes.
+const groupImportedEvents = (eventsById) => {
+    const events = [...eventsById.values()];
+    return {
+        tradeEvents: events.filter((event) => event.type === "trade" || event.type === "sell"),
+        receiveEvents: events.filter((event) => event.type === "receive"),
+        sendEvents: events.filter((event) => event.type === "send"),
+    };
+};
+
+const renderImport = () => {
+    if (!importedState) return;
+    const { currentPrice } = importedState;
+    const events = groupImportedEvents(importedState.eventsById);
+    // Statement rows have no saved labels, so only the automatic rules apply.
+    const transfers = classifyTransfers(events.receiveEvents, events.sendEvents);
+    const summary = buildSummary(
+        currentPrice,
+        { tradeEvents: events.tradeEvents, ...transfers, externalEvents: importExternalEvents },
+        { method: importCostBasisMethod }
+    );
+    const banner = createProfitBanner(summary, {
+        onMethodChange: async (method) => {
+            importCostBasisMethod = normalizeCostBasisMethod(method);
+            renderImport();
+            await saveCostBasisMethod(importCostBasisMethod);
+        },
+    });
+    resultElem.replaceChildren(banner);
+    saveSummarySnapshot(createSummarySnapshot(summary, currentPrice, { currency: fiatCurrency, source: "statement" }));
+};
+
+const importStatement = async (file) => {
+    setStatus(`Reading ${file.name}…`);
+    resultElem.replaceChildren();
+
+    try {
+        const text = await file.text();
+        const { tradeEvents, receiveEvents, sendEvents, skipped, currency } = parseStrikeStatement(text);
+        // A statement in another currency starts over rather than mixing the two.
+        const previous = importedState?.currency === normalizeFiatCurrency(currency) ? importedState.eventsById : [];
+        setFiatCurrency(currency);
+
+        const { merged, added } = mergeImportedEvents(previous, [...tradeEvents, ...receiveEvents, ...sendEvents]);
+        const duplicates = tradeEvents.length + receiveEvents.length + sendEvents.length - added.length;
+
+        setStatus(`Fetching BTC/${fiatCurrency} prices…`);
+        const currentPrice = await fetchCurrentBTCPrice();
+        const stats = await priceTransfers(
+            added.filter((event) => event.type === "receive" || event.type === "send"),
+            currentPrice
+        );
+
+        importedState = { currentPrice, currency: fiatCurrency, eventsById: merged };
+        renderImport();
+
+        setStatus(
+            `Imported ${tradeEvents.length} trades, ${receiveEvents.length} receives and ` +
+            `${sendEvents.length} sends (${skipped} rows skipped; ${duplicates} already imported; ` +
+            `${stats.historical} transfers priced historically, ${stats.fallback} at the current price).`
+        );
+        log(`Imported statement ${file.name}`);
+    } catch (error) {
+        warn("Failed to import statement:", error);
+        setStatus(`Import failed: ${error.message}`, true);
+    }
+};
+
+fileInput.addEventListener("change", () => {
+    const [file] = fileInput.files ?? [];
+    if (file) importStatement(file);
+});
+
+loadSettings().then(({ logLevel }) => setLogLevel(logLevel));
+onSettingsChanged(({ logLevel }) => setLogLevel(logLevel));
+
+loadStoredCostBasisMethod().then((method) => {
+    importCostBasisMethod = method;
+});
+
+loadExternalEntries().then((entries) => {
+    importExternalEvents = externalEntriesToEvents(entries);
+    renderImport();
+});
+onExternalEntriesChanged((entries) => {
+    importExternalEvents = externalEntriesToEvents(entries);
+    renderImport();
+});
@@ -0,0 +1,173 @@
+// Ledger panel for the profit banner: every event in the order buildSummary
+// processed it, with the running holdings, cost basis and average cost after
+// it. Rows can be sorted by any column, filtered by type, and (on the
+// transactions page) reveal the Strike table row they came from.
+
+// Event types the ledger can be filtered by, with their labels.
+const LEDGER_TYPES = {
+    trade: "Buy",
+    sell: "Sell",
+    receive: "Receive",
+    send: "Send",
+    fee: "Network fee",
+};
+
+// Sorting and filtering survive banner rebuilds, like the open state of the
+// other sections. "order" is the processing order.
+const ledgerView = { open: false, sortKey: "order", descending: false, type: "all" };
+
+// The fiat price recorded on an event.
+const ledgerEventPrice = (event) =>
+    event.type === "sell" || event.type === "fee" ? event.exitPrice : event.entryPrice;
+
+const describeLedgerType = (event) => {
+    const label = LEDGER_TYPES[event.type] ?? event.type;
+    if (event.external) return `${label} (external)`;
+    if (event.category && event.categorySource !== "default") {
+        return `${label} (${TRANSFER_CATEGORIES[event.type]?.[event.category] ?? event.category})`;
+    }
+    return label;
+};
+
+// One row per timeline entry, with the values the columns show and sort by.
+const buildLedgerRows = (timeline) =>
+    timeline.map((entry, index) => ({
+        entry,
+        order: index,
+        timestamp: entry.timestamp?.getTime() ?? null,
+        type: entry.event.type,
+        amountBTC: entry.amountBTC,
+        price: ledgerEventPrice(entry.event) || null,
+        holdingsBTC: entry.holdingsBTC,
+        basisUSD: entry.basisUSD,
+        averageCost: entry.holdingsBTC > 0 ? entry.basisUSD / entry.holdingsBTC : null,
+        priceSource: PRICE_SOURCE_LABELS[entry.event.priceSource] ?? PRICE_SOURCE_LABELS.missing,
+    }));
+
+// Columns: header label, the row field sorted on, and how a row shows it.
+const LEDGER_COLUMNS = [
+    {
+        label: "Date",
+        key: "timestamp",
+        format: (row) => (row.entry.timestamp ? row.entry.timestamp.toLocaleString() : "Unknown"),
+    },
+    { label: "Type", key: "type", format: (row) => describeLedgerType(row.entry.event) },
+    { label: "BTC", key: "amountBTC", format: (row) => formatBTC(row.amountBTC) },
+    { label: "Price", key: "price", format: (row) => (row.price == null ? "" : formatFiat(row.price)) },
+    { label: "Holdings", key: "holdingsBTC", format: (row) => formatBTC(row.holdingsBTC) },
+    { label: "Cost Basis", key: "basisUSD", format: (row) => formatFiat(row.basisUSD) },
+    {
+        label: "Average Cost",
+        key: "averageCost",
+        format: (row) => (row.averageCost == null ? "" : formatFiat(row.averageCost)),
+    },
+    { label: "Price Source", key: "priceSource", format: (row) => row.priceSource },
+];
+
+// Sort rows by a field, keeping missing values last and ties in processing
+// order.
+const sortLedgerRows = (rows, key, descending) => {
+    const direction = descending ? -1 : 1;
+    return [...rows].sort((a, b) => {
+        const aValue = a[key];
+        const bValue = b[key];
+        if (aValue == null || bValue == null) {
+            if (aValue == null && bValue == null) return a.order - b.order;
+            return aValue == null ? 1 : -1;
+        }
+        const compared = typeof aValue === "string" ? aValue.localeCompare(bValue) : aValue - bValue;
+        return compared * direction || a.order - b.order;
+    });
+};
+
+// Build the table for the current view. `onReveal` is called with an event to
+// show its Strike row; without it the link column is left out.
+const createLedgerTable = (rows, onReveal, redraw) => {
+    const tableEl = document.createElement("table");
+    const headRow = document.createElement("tr");
+    [{ label: "#", key: "order" }, ...LEDGER_COLUMNS].forEach(({ label, key }) => {
+        const th = document.createElement("th");
+        th.textContent = label;
+        th.title = "Sort by this column";
+        if (ledgerView.sortKey === key) th.textContent += ledgerView.descending ? " ▼" : " ▲";
+        th.addEventListener("click", () => {
+            ledgerView.descending = ledgerView.sortKey === key ? !ledgerView.descending : false;
+            ledgerView.sortKey = key;
+            redraw();
+        });
+        headRow.appendChild(th);
+    });
+    if (onReveal) headRow.appendChild(document.createElement("th"));
+    const thead = document.createElement("thead");
+    thead.appendChild(headRow);
+
+    const visible = rows.filter((row) => ledgerView.type === "all" || row.type === ledgerView.type);
+    const tbody = document.createElement("tbody");
+    sortLedgerRows(visible, ledgerView.sortKey, ledgerView.descending).forEach((row) => {
+        const tr = document.createElement("tr");
+        [String(row.order + 1), ...LEDGER_COLUMNS.map((column) => column.format(row))].forEach((text) => {
+            const td = document.createElement("td");
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+
+        if (onReveal) {
+            const td = document.createElement("td");
+            // A network fee links to the send it was paid on.
+            const source = row.entry.event.send ?? row.entry.event;
+            if (source.id && !source.external) {
+                const button = document.createElement("button");
+                button.type = "button";
+                button.textContent = "Show";
+                button.title = "Show this transaction in Strike's table";
+                button.addEventListener("click", () => onReveal(source));
+                td.appendChild(button);
+            }
+            tr.appendChild(td);
+        }
+        tbody.appendChild(tr);
+    });
+
+    tableEl.replaceChildren(thead, tbody);
+    return tableEl;
+};
+
+// Build the collapsible ledger section for the banner. Rows are only built
+// once the section is opened.
+const createLedgerSection = (summary, { onReveal = null } = {}) => {
+    const details = document.createElement("details");
+    details.className = "strike-profit-ledger";
+    const title = document.createElement("summary");
+    title.textContent = `Ledger (${summary.timeline.length} events)`;
+    details.appendChild(title);
+
+    const filter = document.createElement("label");
+    filter.textContent = "Show: ";
+    const select = document.createElement("select");
+    select.appendChild(new Option("All events", "all"));
+    Object.entries(LEDGER_TYPES).forEach(([type, label]) => select.appendChild(new Option(label, type)));
+    select.value = ledgerView.type;
+    filter.appendChild(select);
+
+    const container = document.createElement("div");
+    details.append(filter, container);
+
+    let rows = null;
+    const redraw = () => {
+        rows ??= buildLedgerRows(summary.timeline);
+        container.replaceChildren(createLedgerTable(rows, onReveal, redraw));
+    };
+    select.addEventListener("change", () => {
+        ledgerView.type = select.value;
+        redraw();
+    });
+    details.addEventListener("toggle", () => {
+        ledgerView.open = details.open;
+        if (details.open && !container.firstChild) redraw();
+    });
+    if (ledgerView.open) {
+        details.open = true;
+        redraw();
+    }
+    return details;
+};
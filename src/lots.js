@@ -0,0 +1,161 @@
+// Lot ledger used when building the summary: tracks every acquisition as its own
+// lot and matches disposals against those lots using the selected cost-basis
+// method.
+
+// Supported cost-basis methods and the labels shown in the UI.
+const COST_BASIS_METHODS = {
+    average: "Average cost",
+    fifo: "FIFO",
+    lifo: "LIFO",
+    hifo: "HIFO",
+};
+
+const DEFAULT_COST_BASIS_METHOD = "average";
+
+// Amounts below this are treated as rounding noise when consuming lots.
+const LOT_EPSILON_BTC = 1e-12;
+
+// Return a valid cost-basis method key, falling back to the default.
+const normalizeCostBasisMethod = (method) =>
+    Object.prototype.hasOwnProperty.call(COST_BASIS_METHODS, method)
+        ? method
+        : DEFAULT_COST_BASIS_METHOD;
+
+// Read the persisted cost-basis method, keeping the default on failure.
+const loadStoredCostBasisMethod = async () => {
+    try {
+        const stored = await browser.storage.local.get("costBasisMethod");
+        return normalizeCostBasisMethod(stored?.costBasisMethod);
+    } catch (error) {
+        warn("Failed to load cost basis method:", error);
+        return DEFAULT_COST_BASIS_METHOD;
+    }
+};
+
+// Persist the chosen cost-basis method.
+const saveCostBasisMethod = async (method) => {
+    try {
+        await browser.storage.local.set({ costBasisMethod: normalizeCostBasisMethod(method) });
+    } catch (error) {
+        warn("Failed to save cost basis method:", error);
+    }
+};
+
+// Order in which lots are consumed for each specific-identification method.
+const LOT_ORDERINGS = {
+    fifo: (a, b) => (a.acquiredAt?.getTime() ?? 0) - (b.acquiredAt?.getTime() ?? 0),
+    lifo: (a, b) => (b.acquiredAt?.getTime() ?? 0) - (a.acquiredAt?.getTime() ?? 0),
+    hifo: (a, b) => b.unitCost - a.unitCost,
+};
+
+// Create a ledger of open lots. Acquisitions add lots; disposals consume them
+// and report the basis removed along with the slices of each lot matched.
+const createLotLedger = (method = DEFAULT_COST_BASIS_METHOD) => {
+    const resolvedMethod = normalizeCostBasisMethod(method);
+    const lots = [];
+    // BTC disposed of before any lot existed to cover it. Later acquisitions
+    // repay this first so the ledger never holds more than the real balance.
+    let shortfallBTC = 0;
+
+    const holdingsBTC = () => lots.reduce((sum, lot) => sum + lot.amountBTC, 0);
+    const basisUSD = () => lots.reduce((sum, lot) => sum + lot.amountBTC * lot.unitCost, 0);
+
+    const acquire = (event, amountBTC = event.amountBTC, unitCost = event.entryPrice ?? 0) => {
+        let remaining = amountBTC;
+        if (shortfallBTC > 0) {
+            const repaid = Math.min(shortfallBTC, remaining);
+            shortfallBTC -= repaid;
+            remaining -= repaid;
+        }
+        if (remaining <= LOT_EPSILON_BTC) return null;
+
+        const lot = {
+            event,
+            acquiredAt: event.timestamp ?? null,
+            type: event.type,
+            category: event.category ?? null,
+            external: Boolean(event.external),
+            originalBTC: remaining,
+            amountBTC: remaining,
+            unitCost,
+        };
+        lots.push(lot);
+        return lot;
+    };
+
+    // Average cost shrinks every lot by the same fraction, which removes the
+    // pooled average basis while keeping lots available for inspection.
+    const disposeAverage = (amountBTC) => {
+        const held = holdingsBTC();
+        const proportion = held > 0 ? Math.min(1, amountBTC / held) : 0;
+        const matched = [];
+        let removed = 0;
+
+        lots.forEach((lot) => {
+            const take = lot.amountBTC * proportion;
+            if (take <= LOT_EPSILON_BTC) return;
+            lot.amountBTC -= take;
+            removed += take * lot.unitCost;
+            matched.push({ lot, acquiredAt: lot.acquiredAt, amountBTC: take, unitCost: lot.unitCost });
+        });
+
+        return { matched, removed, coveredBTC: held * proportion };
+    };
+
+    const disposeOrdered = (amountBTC) => {
+        const ordered = [...lots].sort(LOT_ORDERINGS[resolvedMethod]);
+        const matched = [];
+        let removed = 0;
+        let remaining = amountBTC;
+
+        for (const lot of ordered) {
+            if (remaining <= LOT_EPSILON_BTC) break;
+            const take = Math.min(lot.amountBTC, remaining);
+            lot.amountBTC -= take;
+            remaining -= take;
+            removed += take * lot.unitCost;
+            matched.push({ lot, acquiredAt: lot.acquiredAt, amountBTC: take, unitCost: lot.unitCost });
+        }
+
+        return { matched, removed, coveredBTC: amountBTC - remaining };
+    };
+
+    const dispose = (amountBTC) => {
+        const { matched, removed, coveredBTC } =
+            resolvedMethod === "average" ? disposeAverage(amountBTC) : disposeOrdered(amountBTC);
+
+        const unmatchedBTC = Math.max(0, amountBTC - coveredBTC);
+        shortfallBTC += unmatchedBTC > LOT_EPSILON_BTC ? unmatchedBTC : 0;
+
+        // Drop exhausted lots so open-lot listings stay meaningful.
+        for (let i = lots.length - 1; i >= 0; i -= 1) {
+            if (lots[i].amountBTC <= LOT_EPSILON_BTC) lots.splice(i, 1);
+        }
+
+        return { basisUSD: removed, matched, unmatchedBTC };
+    };
+
+    // Find the open lot created for a given acquisition event, if any remains.
+    const findLot = (event) => lots.find((lot) => lot.event === event) ?? null;
+
+    const openLots = () =>
+        lots.map(({ acquiredAt, type, category, external, originalBTC, amountBTC, unitCost }) => ({
+            acquiredAt,
+            type,
+            category,
+            external,
+            originalBTC,
+            amountBTC,
+            unitCost,
+        }));
+
+    return {
+        method: resolvedMethod,
+        acquire,
+        dispose,
+        findLot,
+        openLots,
+        holdingsBTC,
+        basisUSD,
+    };
+};
@@ -0,0 +1,340 @@
+// Options page: edits the synced tracker settings, alert rules and external
+// holdings. Every change is saved immediately; the content script and
+// background pick it up from storage.
+
+const form = document.getElementById("settings-form");
+const priceModeSelect = document.getElementById("price-mode");
+const providerList = document.getElementById("price-providers");
+const columnsElem = document.getElementById("injected-columns");
+const transactionSourceSelect = document.getElementById("transaction-source");
+const soldColumnInput = document.getElementById("sold-column-index");
+const historicalWindowInput = document.getElementById("historical-window");
+const livePriceInput = document.getElementById("live-price-seconds");
+const showBadgeInput = document.getElementById("show-badge");
+const logLevelSelect = document.getElementById("log-level");
+const resetButton = document.getElementById("reset-settings");
+const statusElem = document.getElementById("settings-status");
+const alertsForm = document.getElementById("alerts-form");
+const alertList = document.getElementById("alert-rules");
+const alertMetricSelect = document.getElementById("alert-metric");
+const alertDirectionSelect = document.getElementById("alert-direction");
+const alertThresholdInput = document.getElementById("alert-threshold");
+const externalForm = document.getElementById("external-form");
+const externalList = document.getElementById("external-entries");
+const externalLegend = document.getElementById("external-legend");
+const externalTypeSelect = document.getElementById("external-type");
+const externalDateInput = document.getElementById("external-date");
+const externalAmountInput = document.getElementById("external-amount");
+const externalPriceInput = document.getElementById("external-price");
+const externalTotalInput = document.getElementById("external-total");
+const externalNoteInput = document.getElementById("external-note");
+const externalSubmitButton = document.getElementById("external-submit");
+const externalCancelButton = document.getElementById("external-cancel");
+
+const setStatus = (text, isError = false) => {
+    statusElem.textContent = text;
+    statusElem.classList.toggle("error", isError);
+};
+
+// Create a labelled checkbox carrying `value`.
+const createCheckbox = (value, labelText, checked) => {
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.value = value;
+    input.checked = checked;
+    label.append(input, ` ${labelText}`);
+    return label;
+};
+
+// Fill an ordered list with a checkbox and a "Move up" button for each of
+// `ids`, checked when in `enabled`. The checked boxes' order is what gets saved.
+const renderOrderedChoices = (listElem, ids, enabled, labelFor) => {
+    listElem.replaceChildren(
+        ...ids.map((id, index) => {
+            const item = document.createElement("li");
+            item.append(createCheckbox(id, labelFor(id), enabled.includes(id)));
+
+            const upButton = document.createElement("button");
+            upButton.type = "button";
+            upButton.textContent = "Move up";
+            upButton.disabled = index === 0;
+            upButton.addEventListener("click", () => {
+                item.previousElementSibling?.before(item);
+                saveForm();
+            });
+            item.append(upButton);
+            return item;
+        })
+    );
+};
+
+// List every provider, enabled ones first in their saved order. An empty
+// saved list means the service default order with everything enabled.
+const renderProviders = (priceProviders) => {
+    const enabled = priceProviders.filter((id) => PRICE_PROVIDERS[id]);
+    const order = enabled.length ? enabled : PRICE_SERVICE_DEFAULTS.providers;
+    const ids = [...order, ...Object.keys(PRICE_PROVIDERS).filter((id) => !order.includes(id))];
+    renderOrderedChoices(providerList, ids, order, (id) => {
+        const { label, currencies } = PRICE_PROVIDERS[id];
+        return `${label} (${currencies.join(", ")})`;
+    });
+};
+
+// List every injected column, shown ones first in their display order.
+const renderColumns = (columns) => {
+    const ids = [...columns, ...Object.keys(INJECTED_COLUMNS).filter((key) => !columns.includes(key))];
+    renderOrderedChoices(columnsElem, ids, columns, (key) => INJECTED_COLUMNS[key]);
+};
+
+const renderForm = (settings) => {
+    priceModeSelect.value = settings.priceMode;
+    renderProviders(settings.priceProviders);
+    renderColumns(settings.columns);
+
+    transactionSourceSelect.replaceChildren(
+        ...Object.entries(TRANSACTION_SOURCES).map(([source, label]) => new Option(label, source))
+    );
+    transactionSourceSelect.value = settings.transactionSource;
+    soldColumnInput.value = settings.soldColumnIndex;
+    historicalWindowInput.value = settings.historicalWindowMinutes;
+    livePriceInput.value = settings.livePriceSeconds;
+    showBadgeInput.checked = settings.showBadge;
+
+    logLevelSelect.replaceChildren(
+        ...Object.entries(LOG_LEVELS).map(([level, label]) => new Option(label, level))
+    );
+    logLevelSelect.value = settings.logLevel;
+};
+
+// Read the settings back out of the form.
+const readForm = () => ({
+    priceMode: priceModeSelect.value,
+    priceProviders: [...providerList.querySelectorAll("input:checked")].map((input) => input.value),
+    columns: [...columnsElem.querySelectorAll("input:checked")].map((input) => input.value),
+    transactionSource: transactionSourceSelect.value,
+    soldColumnIndex: soldColumnInput.value,
+    historicalWindowMinutes: historicalWindowInput.value,
+    livePriceSeconds: livePriceInput.value,
+    showBadge: showBadgeInput.checked,
+    logLevel: logLevelSelect.value,
+});
+
+const saveForm = async () => {
+    try {
+        const saved = await saveSettings(readForm());
+        renderForm(saved);
+        setStatus("Settings saved.");
+    } catch (error) {
+        console.warn("Failed to save settings:", error);
+        setStatus(`Could not save settings: ${error.message}`, true);
+    }
+};
+
+form.addEventListener("change", saveForm);
+form.addEventListener("submit", (event) => event.preventDefault());
+
+resetButton.addEventListener("click", async () => {
+    try {
+        renderForm(await saveSettings(DEFAULT_SETTINGS));
+        setStatus("Defaults restored.");
+    } catch (error) {
+        console.warn("Failed to restore default settings:", error);
+        setStatus(`Could not restore defaults: ${error.message}`, true);
+    }
+});
+
+// Alert rules are edited separately from the settings form and saved as a
+// whole list on every change.
+let alertRules = [];
+
+const storeAlertRules = async (rules) => {
+    try {
+        alertRules = await saveAlertRules(rules);
+        renderAlertRules();
+        setStatus("Alerts saved.");
+    } catch (error) {
+        console.warn("Failed to save alert rules:", error);
+        setStatus(`Could not save alerts: ${error.message}`, true);
+    }
+};
+
+const renderAlertRules = () => {
+    if (!alertRules.length) {
+        const empty = document.createElement("li");
+        empty.textContent = "No alerts yet.";
+        alertList.replaceChildren(empty);
+        return;
+    }
+
+    alertList.replaceChildren(
+        ...alertRules.map((rule) => {
+            const item = document.createElement("li");
+            const toggle = createCheckbox(rule.id, describeAlertRule(rule), rule.enabled);
+            toggle.querySelector("input").addEventListener("change", (event) => {
+                storeAlertRules(
+                    alertRules.map((other) =>
+                        other.id === rule.id ? { ...other, enabled: event.target.checked } : other
+                    )
+                );
+            });
+
+            const removeButton = document.createElement("button");
+            removeButton.type = "button";
+            removeButton.textContent = "Remove";
+            removeButton.addEventListener("click", () => {
+                storeAlertRules(alertRules.filter((other) => other.id !== rule.id));
+            });
+
+            item.append(toggle, removeButton);
+            return item;
+        })
+    );
+};
+
+alertMetricSelect.replaceChildren(
+    ...Object.entries(ALERT_METRICS).map(([metric, { label }]) => new Option(label, metric))
+);
+alertDirectionSelect.replaceChildren(
+    ...Object.entries(ALERT_DIRECTIONS).map(([direction, label]) => new Option(label, direction))
+);
+
+alertsForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    storeAlertRules([
+        ...alertRules,
+        {
+            id: String(Date.now()),
+            metric: alertMetricSelect.value,
+            direction: alertDirectionSelect.value,
+            threshold: alertThresholdInput.value,
+            enabled: true,
+        },
+    ]);
+    alertThresholdInput.value = "";
+});
+
+// External entries are saved as a whole list like alert rules. The form adds
+// a new entry, or replaces the one being edited.
+let externalEntries = [];
+let editingExternalId = null;
+
+const storeExternalEntries = async (entries) => {
+    try {
+        externalEntries = await saveExternalEntries(entries);
+        renderExternalEntries();
+        setStatus("External holdings saved.");
+    } catch (error) {
+        console.warn("Failed to save external entries:", error);
+        setStatus(`Could not save external holdings: ${error.message}`, true);
+    }
+};
+
+// Reset the form to adding a new entry.
+const resetExternalForm = () => {
+    editingExternalId = null;
+    externalForm.reset();
+    externalLegend.textContent = "New entry";
+    externalSubmitButton.textContent = "Add entry";
+    externalCancelButton.hidden = true;
+};
+
+// Load an entry into the form for editing.
+const editExternalEntry = (entry) => {
+    editingExternalId = entry.id;
+    externalTypeSelect.value = entry.type;
+    externalDateInput.value = entry.date;
+    externalAmountInput.value = entry.amountBTC;
+    externalPriceInput.value = entry.price;
+    externalTotalInput.value = "";
+    externalNoteInput.value = entry.note;
+    externalLegend.textContent = "Edit entry";
+    externalSubmitButton.textContent = "Save entry";
+    externalCancelButton.hidden = false;
+};
+
+const renderExternalEntries = () => {
+    if (!externalEntries.length) {
+        const row = document.createElement("tr");
+        const cell = document.createElement("td");
+        cell.colSpan = 7;
+        cell.textContent = "No external entries yet.";
+        row.appendChild(cell);
+        externalList.replaceChildren(row);
+        return;
+    }
+
+    const sorted = [...externalEntries].sort((a, b) => a.date.localeCompare(b.date));
+    externalList.replaceChildren(
+        ...sorted.map((entry) => {
+            const row = document.createElement("tr");
+            [
+                entry.date,
+                EXTERNAL_ENTRY_TYPES[entry.type],
+                entry.amountBTC.toFixed(8),
+                entry.price.toFixed(2),
+                (entry.amountBTC * entry.price).toFixed(2),
+                entry.note,
+            ].forEach((text) => {
+                const cell = document.createElement("td");
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const editButton = document.createElement("button");
+            editButton.type = "button";
+            editButton.textContent = "Edit";
+            editButton.addEventListener("click", () => editExternalEntry(entry));
+
+            const deleteButton = document.createElement("button");
+            deleteButton.type = "button";
+            deleteButton.textContent = "Delete";
+            deleteButton.addEventListener("click", () => {
+                if (editingExternalId === entry.id) resetExternalForm();
+                storeExternalEntries(externalEntries.filter((other) => other.id !== entry.id));
+            });
+
+            const actions = document.createElement("td");
+            actions.append(editButton, deleteButton);
+            row.appendChild(actions);
+            return row;
+        })
+    );
+};
+
+externalTypeSelect.replaceChildren(
+    ...Object.entries(EXTERNAL_ENTRY_TYPES).map(([type, label]) => new Option(label, type))
+);
+
+externalForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const entry = normalizeExternalEntry({
+        id: editingExternalId ?? String(Date.now()),
+        type: externalTypeSelect.value,
+        date: externalDateInput.value,
+        amountBTC: externalAmountInput.value,
+        price: externalPriceInput.value,
+        total: externalTotalInput.value,
+        note: externalNoteInput.value,
+    });
+    if (!entry) {
+        setStatus("An external entry needs a date, a BTC amount and a price per BTC or a total.", true);
+        return;
+    }
+
+    const others = externalEntries.filter((other) => other.id !== entry.id);
+    storeExternalEntries([...others, entry]);
+    resetExternalForm();
+});
+
+externalCancelButton.addEventListener("click", resetExternalForm);
+
+loadSettings().then(renderForm);
+loadAlertRules().then((rules) => {
+    alertRules = rules;
+    renderAlertRules();
+});
+loadExternalEntries().then((entries) => {
+    externalEntries = entries;
+    renderExternalEntries();
+});
@@ -0,0 +1,349 @@
+// Period review for the profit banner: what happened between two dates (BTC
+// bought and the capital put in, sells, transfers, realized P&L and the change
+// in unrealized P&L) plus a month-by-month or year-by-year breakdown. Figures
+// come from the summary timeline and disposals; holdings at each boundary are
+// valued with the daily closes the value chart uses. Periods follow local
+// time and undated events are left out.
+
+const PERIOD_PRESETS = {
+    ytd: "Year to date",
+    last12: "Last 12 months",
+    year: "Calendar year",
+    custom: "Custom range",
+    all: "All time",
+};
+
+const PERIOD_GRANULARITIES = { month: "Monthly", year: "Yearly" };
+
+// Selections survive banner rebuilds, like the other sections.
+const periodView = { open: false, preset: "ytd", year: null, start: "", end: "", granularity: "month" };
+
+// First day of the month `offset` months after the one containing `date`.
+const monthStart = (date, offset = 0) => new Date(date.getFullYear(), date.getMonth() + offset, 1);
+
+// Parse an <input type="date"> value as local midnight, or null.
+const parseLocalDate = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : null);
+
+// Turn the current selection into `{ start, end }` Dates, `start` being null
+// for all time. Ends are exclusive and never later than `now`.
+const resolvePeriod = (view, now = new Date()) => {
+    const cap = (end) => new Date(Math.min(end.getTime(), now.getTime()));
+    switch (view.preset) {
+        case "ytd":
+            return { start: new Date(now.getFullYear(), 0, 1), end: now };
+        case "last12":
+            return { start: new Date(now.getFullYear() - 1, now.getMonth(), now.getDate()), end: now };
+        case "year": {
+            const year = view.year ?? now.getFullYear();
+            return { start: new Date(year, 0, 1), end: cap(new Date(year + 1, 0, 1)) };
+        }
+        case "custom": {
+            const start = parseLocalDate(view.start);
+            const last = parseLocalDate(view.end);
+            // The end date is inclusive.
+            const end = last ? cap(new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1)) : now;
+            return { start, end };
+        }
+        default:
+            return { start: null, end: now };
+    }
+};
+
+// Price to value holdings at a boundary: the live price from today on,
+// otherwise the last daily close before it (up to a week back), or null.
+const createBoundaryPriceLookup = (dailyPrices, currentPrice) => (time) => {
+    if (time >= startOfDay(Date.now())) return currentPrice;
+    for (let day = startOfDay(time - 1), tries = 0; tries < 7; day -= DAY_MS, tries += 1) {
+        const price = dailyPrices.get(day);
+        if (Number.isFinite(price) && price > 0) return price;
+    }
+    return null;
+};
+
+// Holdings and basis after the last event before `time`. Undated events sort
+// first in the timeline, so they count as before every boundary.
+const timelineStateAt = (timeline, time) => {
+    let state = { holdingsBTC: 0, basisUSD: 0 };
+    for (const entry of timeline) {
+        if ((entry.timestamp?.getTime() ?? -Infinity) >= time) break;
+        state = entry;
+    }
+    return state;
+};
+
+// Figures for the events from `start` (null for the beginning) up to `end`.
+const summarizePeriod = (summary, start, end, priceAt) => {
+    const from = start?.getTime() ?? -Infinity;
+    const to = end.getTime();
+    const inPeriod = (date) => date instanceof Date && date.getTime() >= from && date.getTime() < to;
+    const sum = (items, pick) => items.reduce((total, item) => total + pick(item), 0);
+
+    const entries = summary.timeline.filter((entry) => inPeriod(entry.timestamp));
+    const ofType = (type) => entries.filter((entry) => entry.event.type === type);
+    const buys = ofType("trade").filter((entry) => entry.amountBTC > 0);
+    const isSelf = (entry) => entry.event.category === "self";
+    const disposals = summary.disposals.filter((disposal) => inPeriod(disposal.event.timestamp));
+    const sells = disposals.filter((disposal) => disposal.event.type === "sell");
+
+    // Boundary positions, valued at the closes around them.
+    const valueOf = (state, time) => {
+        if (!(state.holdingsBTC > 0)) return 0;
+        const price = priceAt(time);
+        return price == null ? null : state.holdingsBTC * price;
+    };
+    const opening = start ? timelineStateAt(summary.timeline, from) : { holdingsBTC: 0, basisUSD: 0 };
+    const closing = timelineStateAt(summary.timeline, to);
+    const openingValue = start ? valueOf(opening, from) : 0;
+    const closingValue = valueOf(closing, to);
+    const unrealizedChange =
+        openingValue == null || closingValue == null
+            ? null
+            : closingValue - closing.basisUSD - (openingValue - opening.basisUSD);
+
+    const invested = sum(buys, (entry) => entry.amountBTC * (entry.event.entryPrice ?? 0) + (entry.event.feeFiat || 0));
+    const proceeds = sum(sells, (disposal) => disposal.proceedsUSD);
+    const realized = sum(disposals, (disposal) => disposal.gainUSD);
+
+    return {
+        start,
+        end,
+        events: entries.length,
+        boughtBTC: sum(buys, (entry) => entry.amountBTC),
+        invested,
+        soldBTC: sum(sells, (disposal) => Math.abs(disposal.event.amountBTC)),
+        proceeds,
+        netInvested: invested - proceeds,
+        receivedBTC: sum(ofType("receive").filter((entry) => !isSelf(entry)), (entry) => entry.amountBTC),
+        sentBTC: sum(ofType("send").filter((entry) => !isSelf(entry)), (entry) => Math.abs(entry.amountBTC)),
+        realized,
+        unrealizedChange,
+        total: unrealizedChange == null ? null : realized + unrealizedChange,
+        opening: { ...opening, value: openingValue },
+        closing: { ...closing, value: closingValue },
+    };
+};
+
+// Split a period into calendar months or years, each with its label.
+const splitPeriod = (start, end, granularity) => {
+    const buckets = [];
+    const step = granularity === "year" ? 12 : 1;
+    let cursor = granularity === "year" ? new Date(start.getFullYear(), 0, 1) : monthStart(start);
+    while (cursor < end) {
+        const next = monthStart(cursor, step);
+        buckets.push({
+            label:
+                granularity === "year"
+                    ? String(cursor.getFullYear())
+                    : `${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, "0")}`,
+            start: cursor < start ? start : cursor,
+            end: next < end ? next : end,
+        });
+        cursor = next;
+    }
+    return buckets;
+};
+
+const formatOptionalFiat = (value) => (value == null ? "n/a" : formatFiat(value));
+
+// Build the breakdown table, one row per month or year.
+const createPeriodBreakdownTable = (rows) => {
+    const tableEl = document.createElement("table");
+    const headRow = document.createElement("tr");
+    [
+        "Period",
+        "Bought",
+        "Invested",
+        "Sold",
+        "Proceeds",
+        "Received",
+        "Sent",
+        "Realized P&L",
+        "Unrealized Change",
+        "Holdings",
+        "Value",
+    ].forEach((label) => {
+        const th = document.createElement("th");
+        th.textContent = label;
+        headRow.appendChild(th);
+    });
+    const thead = document.createElement("thead");
+    thead.appendChild(headRow);
+
+    const tbody = document.createElement("tbody");
+    rows.forEach(({ label, figures }) => {
+        const tr = document.createElement("tr");
+        [
+            label,
+            formatBTC(figures.boughtBTC),
+            formatFiat(figures.invested),
+            formatBTC(figures.soldBTC),
+            formatFiat(figures.proceeds),
+            formatBTC(figures.receivedBTC),
+            formatBTC(figures.sentBTC),
+            formatFiat(figures.realized),
+            formatOptionalFiat(figures.unrealizedChange),
+            formatBTC(figures.closing.holdingsBTC),
+            formatOptionalFiat(figures.closing.value),
+        ].forEach((text) => {
+            const td = document.createElement("td");
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+
+    tableEl.replaceChildren(thead, tbody);
+    return tableEl;
+};
+
+// Show the figures for the selected period and its breakdown in `container`.
+const renderPeriodReview = (container, summary, priceAt) => {
+    const firstDated = summary.timeline.find((entry) => entry.timestamp instanceof Date);
+    if (!firstDated) {
+        container.textContent = "No dated transactions to review.";
+        return;
+    }
+
+    const { start, end } = resolvePeriod(periodView);
+    if (start && start >= end) {
+        container.textContent = "Pick a start date before the end date.";
+        return;
+    }
+    const figures = summarizePeriod(summary, start, end, priceAt);
+
+    const makeLine = (label, text) => {
+        const div = document.createElement("div");
+        div.textContent = `${label}: ${text}`;
+        return div;
+    };
+    const rangeStart = start ?? firstDated.timestamp;
+    // `end` is exclusive, so show the day before a midnight boundary.
+    const lastDay = new Date(end.getTime() - 1);
+
+    const lines = [
+        makeLine(
+            "Period",
+            `${rangeStart.toLocaleDateString()} – ${lastDay.toLocaleDateString()} (${figures.events} events)`
+        ),
+        makeLine("Bought", `${formatBTC(figures.boughtBTC)} for ${formatFiat(figures.invested)}`),
+        makeLine("Sold", `${formatBTC(figures.soldBTC)} for ${formatFiat(figures.proceeds)}`),
+        makeLine("Net Invested", formatFiat(figures.netInvested)),
+        makeLine("Transfers", `received ${formatBTC(figures.receivedBTC)}, sent ${formatBTC(figures.sentBTC)}`),
+        makeLine("Realized P&L", formatFiat(figures.realized)),
+        makeLine(
+            "Unrealized Change",
+            `${formatOptionalFiat(figures.unrealizedChange)} (value ${formatOptionalFiat(figures.opening.value)} → ` +
+            `${formatOptionalFiat(figures.closing.value)}, basis ${formatFiat(figures.opening.basisUSD)} → ` +
+            `${formatFiat(figures.closing.basisUSD)})`
+        ),
+        makeLine("Period P&L", formatOptionalFiat(figures.total)),
+    ];
+
+    const breakdownStart = start && start > firstDated.timestamp ? start : firstDated.timestamp;
+    const rows = splitPeriod(breakdownStart, end, periodView.granularity).map(({ label, start: from, end: to }) => ({
+        label,
+        figures: summarizePeriod(summary, from, to, priceAt),
+    }));
+
+    container.replaceChildren(...lines, createPeriodBreakdownTable(rows));
+    debug(`Period review: ${rows.length} ${periodView.granularity} rows, ${figures.events} events in range`);
+};
+
+// Build the period picker: preset, calendar year, custom dates and the
+// breakdown granularity. `onChange` runs after each edit of `periodView`.
+const createPeriodControls = (years, onChange) => {
+    const wrapper = document.createElement("div");
+    wrapper.className = "strike-profit-period-controls";
+
+    const createSelect = (options, value) => {
+        const select = document.createElement("select");
+        options.forEach(([optionValue, label]) => select.appendChild(new Option(label, optionValue)));
+        select.value = value;
+        return select;
+    };
+    const createDate = (value) => {
+        const input = document.createElement("input");
+        input.type = "date";
+        input.value = value;
+        return input;
+    };
+
+    const presetSelect = createSelect(Object.entries(PERIOD_PRESETS), periodView.preset);
+    const yearSelect = createSelect(
+        years.map((year) => [String(year), String(year)]),
+        String(periodView.year ?? years[0])
+    );
+    const startInput = createDate(periodView.start);
+    const endInput = createDate(periodView.end);
+    const granularitySelect = createSelect(Object.entries(PERIOD_GRANULARITIES), periodView.granularity);
+
+    const showRelevant = () => {
+        yearSelect.hidden = periodView.preset !== "year";
+        startInput.hidden = periodView.preset !== "custom";
+        endInput.hidden = periodView.preset !== "custom";
+    };
+    wrapper.addEventListener("change", () => {
+        periodView.preset = presetSelect.value;
+        periodView.year = Number(yearSelect.value) || null;
+        periodView.start = startInput.value;
+        periodView.end = endInput.value;
+        periodView.granularity = granularitySelect.value;
+        showRelevant();
+        onChange();
+    });
+    showRelevant();
+
+    wrapper.append("Period: ", presetSelect, yearSelect, startInput, endInput, " Breakdown: ", granularitySelect);
+    return wrapper;
+};
+
+// Build the collapsible period review for the banner. Daily prices are only
+// fetched once the section is opened.
+const createPeriodSection = (summary) => {
+    const details = document.createElement("details");
+    details.className = "strike-profit-period";
+    const title = document.createElement("summary");
+    title.textContent = "Period Review";
+    const container = document.createElement("div");
+
+    const years = [
+        ...new Set(
+            summary.timeline
+                .filter((entry) => entry.timestamp instanceof Date)
+                .map((entry) => entry.timestamp.getFullYear())
+        ),
+    ].sort((a, b) => b - a);
+    if (!years.length) years.push(new Date().getFullYear());
+
+    let priceAt = null;
+    const render = () => {
+        if (priceAt) renderPeriodReview(container, summary, priceAt);
+    };
+
+    details.append(title, createPeriodControls(years, render), container);
+
+    let loading = false;
+    const loadOnce = async () => {
+        if (loading) return;
+        loading = true;
+        container.textContent = "Loading daily prices…";
+        const first = summary.timeline.find((entry) => entry.timestamp instanceof Date);
+        let dailyPrices = new Map();
+        try {
+            if (first) dailyPrices = await fetchDailyBTCPrices(first.timestamp);
+        } catch (error) {
+            warn("Failed to load daily prices for the period review:", error);
+        }
+        priceAt = createBoundaryPriceLookup(dailyPrices, summary.currentPrice);
+        render();
+    };
+    details.addEventListener("toggle", () => {
+        periodView.open = details.open;
+        if (details.open) loadOnce();
+    });
+    if (periodView.open) {
+        details.open = true;
+        loadOnce();
+    }
+    return details;
+};
@@ -0,0 +1,66 @@
+// Toolbar popup: shows the last computed summary revalued at the live spot
+// price, so the position can be checked without opening the Strike dashboard.
+
+const priceElem = document.getElementById("popup-price");
+const summaryElem = document.getElementById("popup-summary");
+const statusElem = document.getElementById("popup-status");
+
+const setStatus = (text, isError = false) => {
+    statusElem.textContent = text;
+    statusElem.classList.toggle("error", isError);
+};
+
+// Fill the summary list from revalued snapshot totals.
+const renderPopupSummary = (totals) => {
+    const color = totals.netProfit >= 0 ? "green" : "red";
+    document.getElementById("popup-holdings").textContent = formatBTC(totals.holdingsBTC);
+    document.getElementById("popup-value").textContent = formatFiat(totals.currentValue);
+    document.getElementById("popup-cost").textContent = formatFiat(totals.basisUSD);
+
+    const profitElem = document.getElementById("popup-profit");
+    profitElem.textContent = `${formatFiat(totals.netProfit)} (${formatPercent(totals.percent)})`;
+    profitElem.style.color = color;
+    summaryElem.hidden = false;
+};
+
+const describeSnapshot = (snapshot) => {
+    const source = snapshot.source === "statement" ? "an imported statement" : "the transactions page";
+    return `Computed from ${source} on ${new Date(snapshot.computedAt).toLocaleString()}.`;
+};
+
+const startPopup = async () => {
+    const { logLevel } = await loadSettings();
+    setLogLevel(logLevel);
+
+    const snapshot = await loadSummarySnapshot();
+    if (snapshot) setFiatCurrency(snapshot.fiatCurrency);
+
+    let price = null;
+    try {
+        price = await fetchCurrentBTCPrice();
+        priceElem.textContent = `BTC ${formatFiat(price)}`;
+    } catch (error) {
+        warn(error.message);
+        priceElem.textContent = "BTC price unavailable";
+    }
+
+    if (!snapshot) {
+        setStatus("No summary yet. Open the Strike transactions page or import a statement.");
+        return;
+    }
+
+    // Without a live price, fall back to the price the snapshot was taken at.
+    renderPopupSummary(revalueSummarySnapshot(snapshot, price ?? snapshot.currentPrice));
+    setStatus(
+        price == null
+            ? `${describeSnapshot(snapshot)} Values use the price at that time.`
+            : describeSnapshot(snapshot)
+    );
+};
+
+document.getElementById("popup-options").addEventListener("click", (event) => {
+    event.preventDefault();
+    browser.runtime.openOptionsPage();
+});
+
+startPopup();
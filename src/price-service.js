@@ -0,0 +1,187 @@
+// Spot price service used by the background script. Each provider knows how to
+// request and parse one exchange's BTC ticker in the fiat currencies it lists;
+// the service tries them in priority order, rejects stale quotes, optionally
+// takes the median across providers, and caches the result briefly.
+
+// Provider definitions. `url` builds the ticker URL for a fiat currency code
+// from `currencies`, and `parse` receives the decoded JSON and returns
+// `{ price, timestamp }`, where timestamp is the quote time in milliseconds or
+// null when the API does not report one (the fetch time is used instead).
+const PRICE_PROVIDERS = {
+  coindesk: {
+    label: "CoinDesk",
+    currencies: ["USD", "EUR", "GBP", "AUD"],
+    url: (currency) =>
+      `https://data-api.coindesk.com/spot/v1/latest/tick?market=kraken&instruments=BTC-${currency}&apply_mapping=true`,
+    parse: (data, currency) => {
+      const tick = data?.Data?.[`BTC-${currency}`];
+      const seconds = tick?.PRICE_LAST_UPDATE_TS;
+      return { price: tick?.PRICE, timestamp: seconds ? seconds * 1000 : null };
+    },
+  },
+  bitfinex: {
+    label: "Bitfinex",
+    currencies: ["USD", "EUR", "GBP"],
+    url: (currency) => `https://api-pub.bitfinex.com/v2/ticker/tBTC${currency}`,
+    // [BID, BID_SIZE, ASK, ASK_SIZE, DAILY_CHANGE, DAILY_CHANGE_RELATIVE, LAST_PRICE, ...]
+    parse: (data) => ({ price: Array.isArray(data) ? data[6] : null, timestamp: null }),
+  },
+  kraken: {
+    label: "Kraken",
+    currencies: ["USD", "EUR", "GBP", "AUD"],
+    url: (currency) => `https://api.kraken.com/0/public/Ticker?pair=XBT${currency}`,
+    parse: (data) => {
+      const ticker = data?.result ? Object.values(data.result)[0] : null;
+      return { price: Number(ticker?.c?.[0]), timestamp: null };
+    },
+  },
+  coinbase: {
+    label: "Coinbase",
+    currencies: ["USD", "EUR", "GBP"],
+    url: (currency) => `https://api.exchange.coinbase.com/products/BTC-${currency}/ticker`,
+    parse: (data) => ({
+      price: Number(data?.price),
+      timestamp: data?.time ? Date.parse(data.time) : null,
+    }),
+  },
+  bitstamp: {
+    label: "Bitstamp",
+    currencies: ["USD", "EUR", "GBP"],
+    url: (currency) => `https://www.bitstamp.net/api/v2/ticker/btc${currency.toLowerCase()}/`,
+    parse: (data) => ({
+      price: Number(data?.last),
+      timestamp: data?.timestamp ? Number(data.timestamp) * 1000 : null,
+    }),
+  },
+};
+
+// Defaults for the service; any of these can be overridden from storage.
+const PRICE_SERVICE_DEFAULTS = {
+  // Providers in priority order.
+  providers: ["coindesk", "kraken", "coinbase", "bitfinex", "bitstamp"],
+  // "fallback" uses the first provider that answers; "median" queries them all.
+  mode: "fallback",
+  // How long a computed quote is reused before providers are asked again.
+  cacheTtlMs: 30 * 1000,
+  // Quotes older than this are treated as stale and skipped.
+  maxQuoteAgeMs: 5 * 60 * 1000,
+  // Per-request timeout so one slow provider cannot stall the fallback chain.
+  requestTimeoutMs: 8 * 1000,
+};
+
+// Merge stored overrides with the defaults, dropping unknown providers.
+const normalizePriceServiceConfig = (overrides = {}) => {
+  const config = { ...PRICE_SERVICE_DEFAULTS, ...overrides };
+  const providers = (Array.isArray(config.providers) ? config.providers : [])
+    .filter((id) => Object.prototype.hasOwnProperty.call(PRICE_PROVIDERS, id));
+  return {
+    ...config,
+    providers: providers.length ? providers : PRICE_SERVICE_DEFAULTS.providers,
+    mode: config.mode === "median" ? "median" : "fallback",
+  };
+};
+
+// Providers from the configured order that quote the given currency.
+const getCurrencyProviders = (config, currency) =>
+  config.providers.filter((id) => PRICE_PROVIDERS[id].currencies.includes(currency));
+
+// Request one provider's quote, failing on HTTP errors, bad prices, timeouts
+// and stale timestamps.
+const fetchProviderQuote = async (id, config, currency) => {
+  const provider = PRICE_PROVIDERS[id];
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.requestTimeoutMs);
+
+  try {
+    const response = await fetch(provider.url(currency), { signal: controller.signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const { price, timestamp } = provider.parse(await response.json(), currency);
+
+    if (!Number.isFinite(price) || price <= 0) throw new Error("response did not contain a price");
+
+    const quoteTime = Number.isFinite(timestamp) ? timestamp : Date.now();
+    const age = Date.now() - quoteTime;
+    if (age > config.maxQuoteAgeMs) {
+      throw new Error(`quote is stale (${Math.round(age / 1000)}s old)`);
+    }
+
+    return { price, currency, provider: id, timestamp: quoteTime };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Median of a list of numbers.
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Ask providers in priority order and return the first usable quote.
+const fetchFirstQuote = async (config, currency) => {
+  const failures = [];
+  for (const id of getCurrencyProviders(config, currency)) {
+    try {
+      return await fetchProviderQuote(id, config, currency);
+    } catch (error) {
+      console.warn(`Price provider ${id} failed:`, error.message ?? error);
+      failures.push(id);
+    }
+  }
+  throw new Error(`All ${currency} price providers failed (${failures.join(", ")})`);
+};
+
+// Ask every provider at once and return the median of the usable quotes.
+const fetchMedianQuote = async (config, currency) => {
+  const results = await Promise.allSettled(
+    getCurrencyProviders(config, currency).map((id) => fetchProviderQuote(id, config, currency))
+  );
+  const quotes = results.filter((result) => result.status === "fulfilled").map((result) => result.value);
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) => console.warn("Price provider failed:", result.reason?.message ?? result.reason));
+
+  if (!quotes.length) throw new Error(`All ${currency} price providers failed`);
+
+  return {
+    price: median(quotes.map((quote) => quote.price)),
+    currency,
+    provider: `median(${quotes.map((quote) => quote.provider).join(",")})`,
+    // The combined quote is only as fresh as its oldest input.
+    timestamp: Math.min(...quotes.map((quote) => quote.timestamp)),
+  };
+};
+
+// Create a price service with a short-lived cache per currency. `loadConfig` is
+// awaited on each cache miss so configuration changes apply without a restart.
+const createPriceService = (loadConfig = async () => ({})) => {
+  const cached = new Map();
+  const inFlight = new Map();
+
+  const getQuote = async ({ force = false, currency = "USD" } = {}) => {
+    const entry = cached.get(currency);
+    if (!force && entry && Date.now() < entry.expiresAt) {
+      return entry.quote;
+    }
+
+    // Share one request between callers that miss the cache together.
+    if (!inFlight.has(currency)) {
+      const request = (async () => {
+        const config = normalizePriceServiceConfig(await loadConfig());
+        const quote =
+          config.mode === "median" ? await fetchMedianQuote(config, currency) : await fetchFirstQuote(config, currency);
+        // Entries keep the lifetime configured when they were fetched.
+        cached.set(currency, { quote, expiresAt: Date.now() + config.cacheTtlMs });
+        return quote;
+      })().finally(() => {
+        inFlight.delete(currency);
+      });
+      inFlight.set(currency, request);
+    }
+
+    return inFlight.get(currency);
+  };
+
+  return { getQuote };
+};
@@ -0,0 +1,130 @@
+// Price lookups: both the current spot price and historical prices are
+// resolved by the background script, in the account's fiat currency.
+
+// Cached historical prices keyed by currency and minute bucket to limit API
+// calls.
+const historicalPriceCache = new Map();
+const historicalCacheKey = (minute) => `${fiatCurrency}:${minute}`;
+
+// Ask the background script for the current BTC price.
+const fetchCurrentBTCPrice = async () => {
+    const response = await browser.runtime.sendMessage({ type: "GET_BTC_PRICE", currency: fiatCurrency });
+    if (!response || response.error || response.price == null) {
+        throw new Error("Failed to fetch BTC price from background");
+    }
+    debug(
+        `Fetched current BTC/${fiatCurrency} price`,
+        response.price,
+        `from ${response.provider ?? "unknown provider"}`,
+        response.timestamp ? `quoted at ${new Date(response.timestamp).toISOString()}` : ""
+    );
+    return response.price;
+};
+
+// Resolve historical BTC prices for several dates in one request to the
+// background script, which batches them into ranged Bitfinex candle requests
+// and keeps a persistent per-minute cache. Returns a Map of minute bucket to
+// price (null when unknown); results are also kept for the life of the page.
+const fetchHistoricalBTCPrices = async (dates = []) => {
+    const minutes = [
+        ...new Set(
+            dates
+                .filter((date) => date instanceof Date && !Number.isNaN(date.getTime()))
+                .map((date) => Math.floor(date.getTime() / 60000))
+        ),
+    ];
+    const missing = minutes.filter((minute) => !historicalPriceCache.has(historicalCacheKey(minute)));
+
+    if (missing.length) {
+        debug(`Requesting historical BTC/${fiatCurrency} prices for ${missing.length} minutes`);
+        try {
+            const response = await browser.runtime.sendMessage({
+                type: "GET_HISTORICAL_BTC_PRICES",
+                currency: fiatCurrency,
+                timestamps: missing.map((minute) => minute * 60000),
+            });
+            if (!response || response.error) throw new Error("background lookup failed");
+            missing.forEach((minute) => {
+                historicalPriceCache.set(historicalCacheKey(minute), response.prices?.[minute * 60000] ?? null);
+            });
+        } catch (error) {
+            warn("Failed to fetch historical BTC prices:", error);
+            missing.forEach((minute) => historicalPriceCache.set(historicalCacheKey(minute), null));
+        }
+    }
+
+    return new Map(
+        minutes.map((minute) => [minute, historicalPriceCache.get(historicalCacheKey(minute)) ?? null])
+    );
+};
+
+// Fetch the BTC price around the provided timestamp.
+const fetchHistoricalBTCPrice = async (date) => {
+    if (!(date instanceof Date) || Number.isNaN(date.getTime())) return null;
+    const prices = await fetchHistoricalBTCPrices([date]);
+    return prices.get(Math.floor(date.getTime() / 60000)) ?? null;
+};
+
+// Fill in prices for transfers that came without one (statement rows, API
+// responses), mirroring the historical-then-spot fallback the table scraper
+// uses. Events are updated in place.
+const priceTransfers = async (events, currentPrice) => {
+    const stats = { historical: 0, fallback: 0 };
+    // Resolve every unpriced transfer in one batched lookup up front.
+    await fetchHistoricalBTCPrices(
+        events.filter((event) => !event.entryPrice).map((event) => event.timestamp)
+    );
+    for (const event of events) {
+        if (event.entryPrice) continue;
+        const historicalPrice = await fetchHistoricalBTCPrice(event.timestamp);
+        if (Number.isFinite(historicalPrice) && historicalPrice > 0) {
+            event.entryPrice = historicalPrice;
+            event.priceSource = "historical";
+            stats.historical += 1;
+        } else {
+            event.entryPrice = currentPrice ?? 0;
+            event.priceSource = "fallback";
+            stats.fallback += 1;
+        }
+    }
+    return stats;
+};
+
+// Price trades that came without a fiat amount (API responses without a fiat
+// leg) from the candle at their time, as the table scraper does for rows whose
+// fiat amount cannot be read. A BTC fee kept on the event is valued at the
+// price found. Events are updated in place; those still without a price stay
+// "missing". Returns how many were priced.
+const priceTrades = async (events) => {
+    const unpriced = events.filter((event) => event.priceSource === "missing");
+    await fetchHistoricalBTCPrices(unpriced.map((event) => event.timestamp));
+    let priced = 0;
+    for (const event of unpriced) {
+        const historicalPrice = await fetchHistoricalBTCPrice(event.timestamp);
+        if (!(Number.isFinite(historicalPrice) && historicalPrice > 0)) continue;
+        if (event.type === "sell") {
+            event.exitPrice = historicalPrice;
+            event.proceedsUSD = historicalPrice * Math.abs(event.amountBTC);
+        } else {
+            event.entryPrice = historicalPrice;
+        }
+        event.feeFiat += (event.feeBTC ?? 0) * historicalPrice;
+        event.priceSource = "historical";
+        priced += 1;
+    }
+    return priced;
+};
+
+// Ask the background script for daily closes from `start` to today, used by
+// the value chart. Returns a Map of UTC day start (milliseconds) to price,
+// null when unknown; today is never included.
+const fetchDailyBTCPrices = async (start) => {
+    const response = await browser.runtime.sendMessage({
+        type: "GET_DAILY_BTC_PRICES",
+        currency: fiatCurrency,
+        start: start.getTime(),
+        end: Date.now(),
+    });
+    if (!response || response.error) throw new Error("Failed to fetch daily BTC prices from background");
+    return new Map(Object.entries(response.prices ?? {}).map(([day, price]) => [Number(day), price]));
+};
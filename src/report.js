@@ -0,0 +1,182 @@
+// Tax-year capital gains report: turns the disposals matched by the lot ledger
+// into Form 8949 style rows with Schedule D totals.
+
+// Format a date the way Form 8949 expects (MM/DD/YYYY).
+const formatTaxDate = (date) => {
+    if (!(date instanceof Date) || Number.isNaN(date.getTime())) return "Various";
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${month}/${day}/${date.getFullYear()}`;
+};
+
+// Round to cents so column totals match the rows that make them up.
+const roundCents = (value) => Math.round((value ?? 0) * 100) / 100;
+
+// Assets held more than one year are long-term. The holding period starts the
+// day after acquisition, so a disposal on the anniversary is still short-term.
+const isLongTermHolding = (acquiredAt, disposedAt) => {
+    if (!(acquiredAt instanceof Date) || !(disposedAt instanceof Date)) return false;
+    const anniversary = new Date(
+        acquiredAt.getFullYear() + 1,
+        acquiredAt.getMonth(),
+        acquiredAt.getDate()
+    );
+    const disposedDay = new Date(
+        disposedAt.getFullYear(),
+        disposedAt.getMonth(),
+        disposedAt.getDate()
+    );
+    return disposedDay.getTime() > anniversary.getTime();
+};
+
+// Return the calendar years that contain at least one disposal, newest first.
+const getDisposalYears = (disposals = []) =>
+    [...new Set(
+        disposals
+            .map((disposal) => disposal.event?.timestamp?.getFullYear())
+            .filter((year) => Number.isFinite(year))
+    )].sort((a, b) => b - a);
+
+// Note marking disposals other than sells in the row description.
+const describeDisposalKind = (event) => {
+    if (event.type === "fee") return " (network fee)";
+    if (isTransferDisposal(event)) return ` (${event.category})`;
+    return "";
+};
+
+// Split each disposal in `year` into one row per lot it consumed, allocating
+// proceeds by BTC amount, and classify each row as short- or long-term.
+const buildTaxReport = (disposals = [], year) => {
+    const rows = [];
+
+    disposals.forEach((disposal) => {
+        const disposedAt = disposal.event?.timestamp ?? null;
+        if (disposedAt?.getFullYear() !== year) return;
+
+        const disposedBTC = Math.abs(disposal.event.amountBTC ?? 0);
+        const note = describeDisposalKind(disposal.event);
+        if (!disposedBTC) return;
+
+        const slices = [...(disposal.lots ?? [])];
+        const matchedBTC = slices.reduce((sum, slice) => sum + slice.amountBTC, 0);
+        // BTC that no lot covered is reported with a zero basis.
+        if (disposedBTC - matchedBTC > LOT_EPSILON_BTC) {
+            slices.push({ acquiredAt: null, amountBTC: disposedBTC - matchedBTC, unitCost: 0 });
+        }
+
+        slices.forEach((slice) => {
+            const proceeds = roundCents(disposal.proceedsUSD * (slice.amountBTC / disposedBTC));
+            const basis = roundCents(slice.amountBTC * slice.unitCost);
+            rows.push({
+                description: `${slice.amountBTC.toFixed(8)} BTC${note}`,
+                acquiredAt: slice.acquiredAt,
+                disposedAt,
+                proceeds,
+                basis,
+                gain: roundCents(proceeds - basis),
+                term: isLongTermHolding(slice.acquiredAt, disposedAt) ? "long" : "short",
+            });
+        });
+    });
+
+    rows.sort((a, b) => a.disposedAt.getTime() - b.disposedAt.getTime());
+
+    const totalsFor = (term) =>
+        rows
+            .filter((row) => row.term === term)
+            .reduce(
+                (totals, row) => ({
+                    proceeds: roundCents(totals.proceeds + row.proceeds),
+                    basis: roundCents(totals.basis + row.basis),
+                    gain: roundCents(totals.gain + row.gain),
+                    count: totals.count + 1,
+                }),
+                { proceeds: 0, basis: 0, gain: 0, count: 0 }
+            );
+
+    const shortTerm = totalsFor("short");
+    const longTerm = totalsFor("long");
+
+    return {
+        year,
+        rows,
+        shortTerm,
+        longTerm,
+        netGain: roundCents(shortTerm.gain + longTerm.gain),
+    };
+};
+
+// Lay the report out like Form 8949 (Part I short-term, Part II long-term)
+// followed by the Schedule D summary lines those parts feed.
+const taxReportToCSV = (report, method = DEFAULT_COST_BASIS_METHOD) => {
+    const header = [
+        "(a) Description of property",
+        "(b) Date acquired",
+        "(c) Date sold or disposed of",
+        "(d) Proceeds",
+        "(e) Cost or other basis",
+        "(f) Code(s)",
+        "(g) Amount of adjustment",
+        "(h) Gain or (loss)",
+    ];
+
+    const toRow = (row) => [
+        row.description,
+        formatTaxDate(row.acquiredAt),
+        formatTaxDate(row.disposedAt),
+        row.proceeds.toFixed(2),
+        row.basis.toFixed(2),
+        "",
+        "",
+        row.gain.toFixed(2),
+    ];
+
+    const totalRow = (label, totals) => [
+        label,
+        "",
+        "",
+        totals.proceeds.toFixed(2),
+        totals.basis.toFixed(2),
+        "",
+        "",
+        totals.gain.toFixed(2),
+    ];
+
+    const lines = [
+        [`Form 8949 - Sales and Other Dispositions of Capital Assets - Tax Year ${report.year}`],
+        [`Cost basis method: ${COST_BASIS_METHODS[normalizeCostBasisMethod(method)]}`],
+        [`Amounts in ${fiatCurrency}`],
+        [],
+        ["Part I - Short-Term (held one year or less)"],
+        header,
+        ...report.rows.filter((row) => row.term === "short").map(toRow),
+        totalRow("Totals (Part I, line 2)", report.shortTerm),
+        [],
+        ["Part II - Long-Term (held more than one year)"],
+        header,
+        ...report.rows.filter((row) => row.term === "long").map(toRow),
+        totalRow("Totals (Part II, line 2)", report.longTerm),
+        [],
+        ["Schedule D Summary"],
+        ["Line", "Description", "(d) Proceeds", "(e) Cost or other basis", "(g) Adjustments", "(h) Gain or (loss)"],
+        [
+            "3",
+            "Short-term totals from Form 8949 (Box C)",
+            report.shortTerm.proceeds.toFixed(2),
+            report.shortTerm.basis.toFixed(2),
+            "0.00",
+            report.shortTerm.gain.toFixed(2),
+        ],
+        [
+            "10",
+            "Long-term totals from Form 8949 (Box F)",
+            report.longTerm.proceeds.toFixed(2),
+            report.longTerm.basis.toFixed(2),
+            "0.00",
+            report.longTerm.gain.toFixed(2),
+        ],
+        ["16", "Net capital gain or (loss)", "", "", "", report.netGain.toFixed(2)],
+    ];
+
+    return toCSV(lines);
+};
@@ -0,0 +1,121 @@
+// Tracker settings edited on the options page. They live in synced extension
+// storage so they follow the browser profile, and are read by the content
+// script, the extension pages and the background script. This file loads
+// before common.js and the background's price modules, so it only relies on
+// `browser` and `console`.
+
+const SETTINGS_KEY = "settings";
+
+// Console verbosity, from most to least chatty.
+const LOG_LEVELS = {
+    debug: "Debug",
+    info: "Info",
+    warn: "Warnings only",
+};
+
+// Columns the content script can inject into the trading table. The fiat
+// symbol is filled in for the account currency.
+const INJECTED_COLUMNS = {
+    profit: "Profit (fiat)",
+    profitPercent: "Profit (%)",
+    realized: "Realized (fiat)",
+    entryPrice: "Entry Price",
+    currentValue: "Current Value",
+    amountBTC: "BTC",
+    sats: "Sats",
+    daysHeld: "Days Held",
+    priceSource: "Price Source",
+};
+
+// Where the content script reads transactions from. "api" falls back to the
+// tables for any list the dashboard has not fetched in full; it relies on an
+// undocumented format, hence experimental.
+const TRANSACTION_SOURCES = {
+    dom: "Strike's tables (switches tabs and scrolls to load rows)",
+    api: "Strike's API responses (experimental), falling back to the tables",
+};
+
+const DEFAULT_SETTINGS = {
+    // Enabled spot price providers in priority order; empty means the price
+    // service's own default order.
+    priceProviders: [],
+    // "fallback" or "median", see price-service.js.
+    priceMode: "fallback",
+    // Keys of INJECTED_COLUMNS to show, in display order.
+    columns: ["profit", "profitPercent", "realized"],
+    // Column used as a template for injected cells when no "Sold" header is found.
+    soldColumnIndex: 2,
+    // Key of TRANSACTION_SOURCES.
+    transactionSource: "dom",
+    // How far from a transfer's timestamp a candle may be and still price it.
+    historicalWindowMinutes: 10,
+    // How often the background pushes a new spot price to the transactions page.
+    livePriceSeconds: 60,
+    // Show the net profit percent on the toolbar icon.
+    showBadge: true,
+    logLevel: "info",
+};
+
+// Clamp an integer setting into range, keeping the default when invalid.
+const clampSetting = (value, min, max, fallback) => {
+    const number = Math.round(Number(value));
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+// Merge stored settings with the defaults, dropping invalid values.
+const normalizeSettings = (saved = {}) => {
+    const settings = { ...DEFAULT_SETTINGS, ...(saved ?? {}) };
+    return {
+        priceProviders: Array.isArray(settings.priceProviders)
+            ? settings.priceProviders.filter((id) => typeof id === "string")
+            : [],
+        priceMode: settings.priceMode === "median" ? "median" : "fallback",
+        columns: Array.isArray(settings.columns)
+            ? settings.columns.filter(
+                (key, index, all) =>
+                    Object.prototype.hasOwnProperty.call(INJECTED_COLUMNS, key) && all.indexOf(key) === index
+            )
+            : DEFAULT_SETTINGS.columns,
+        soldColumnIndex: clampSetting(settings.soldColumnIndex, 0, 20, DEFAULT_SETTINGS.soldColumnIndex),
+        transactionSource: Object.prototype.hasOwnProperty.call(TRANSACTION_SOURCES, settings.transactionSource)
+            ? settings.transactionSource
+            : DEFAULT_SETTINGS.transactionSource,
+        historicalWindowMinutes: clampSetting(
+            settings.historicalWindowMinutes,
+            1,
+            120,
+            DEFAULT_SETTINGS.historicalWindowMinutes
+        ),
+        livePriceSeconds: clampSetting(settings.livePriceSeconds, 10, 3600, DEFAULT_SETTINGS.livePriceSeconds),
+        showBadge: settings.showBadge !== false,
+        logLevel: Object.prototype.hasOwnProperty.call(LOG_LEVELS, settings.logLevel)
+            ? settings.logLevel
+            : DEFAULT_SETTINGS.logLevel,
+    };
+};
+
+// Read the settings, falling back to the defaults on failure.
+const loadSettings = async () => {
+    try {
+        const { [SETTINGS_KEY]: saved } = await browser.storage.sync.get(SETTINGS_KEY);
+        return normalizeSettings(saved);
+    } catch (error) {
+        console.warn("Failed to load settings:", error);
+        return normalizeSettings();
+    }
+};
+
+const saveSettings = async (settings) => {
+    const normalized = normalizeSettings(settings);
+    await browser.storage.sync.set({ [SETTINGS_KEY]: normalized });
+    return normalized;
+};
+
+// Call `callback` with the new settings whenever they are saved, from any
+// page or browser sharing the sync storage.
+const onSettingsChanged = (callback) => {
+    browser.storage.onChanged.addListener((changes, area) => {
+        if (area !== "sync" || !changes[SETTINGS_KEY]) return;
+        callback(normalizeSettings(changes[SETTINGS_KEY].newValue));
+    });
+};
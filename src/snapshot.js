@@ -0,0 +1,58 @@
+// Snapshot of the last computed summary, saved so the toolbar popup can show
+// the position without the transactions page open. Only the totals are kept;
+// value and profit are recomputed from the holdings and basis at a newer spot
+// price. The content script and the import page save it; the popup, the
+// badge and the alert checks in the background read it.
+
+const SUMMARY_SNAPSHOT_KEY = "summarySnapshot";
+
+// Reduce a `buildSummary` result to the totals needed to revalue it later.
+// `source` records where the events came from ("dashboard" or "statement").
+const createSummarySnapshot = (summary, currentPrice, { currency, source }) => ({
+    holdingsBTC: summary.holdingsBTC,
+    basisUSD: summary.basisUSD,
+    realizedProfit: summary.realizedProfit,
+    realizedBasisUSD: summary.realizedBasisUSD,
+    method: summary.method,
+    currentPrice,
+    fiatCurrency: currency,
+    source,
+    computedAt: new Date().toISOString(),
+});
+
+// Recompute value and profit at `price`, mirroring `buildSummary`: net profit
+// is unrealized plus realized, relative to everything ever invested.
+const revalueSummarySnapshot = (snapshot, price = snapshot.currentPrice) => {
+    const currentValue = snapshot.holdingsBTC * price;
+    const unrealizedProfit = currentValue - snapshot.basisUSD;
+    const netProfit = unrealizedProfit + snapshot.realizedProfit;
+    const investedBasis = snapshot.basisUSD + snapshot.realizedBasisUSD;
+    return {
+        price,
+        holdingsBTC: snapshot.holdingsBTC,
+        basisUSD: snapshot.basisUSD,
+        currentValue,
+        unrealizedProfit,
+        netProfit,
+        percent: investedBasis ? (netProfit / investedBasis) * 100 : 0,
+    };
+};
+
+const saveSummarySnapshot = async (snapshot) => {
+    try {
+        await browser.storage.local.set({ [SUMMARY_SNAPSHOT_KEY]: snapshot });
+    } catch (error) {
+        console.warn("Failed to save summary snapshot:", error);
+    }
+};
+
+// Read the last snapshot, or null when no summary has been computed yet.
+const loadSummarySnapshot = async () => {
+    try {
+        const { [SUMMARY_SNAPSHOT_KEY]: snapshot } = await browser.storage.local.get(SUMMARY_SNAPSHOT_KEY);
+        return snapshot ?? null;
+    } catch (error) {
+        console.warn("Failed to load summary snapshot:", error);
+        return null;
+    }
+};
@@ -0,0 +1,245 @@
+// Parser for the account statements Strike lets you download as CSV. Produces
+// the same trade, receive and send event shape the table scrapers build, so
+// `buildSummary` can run without the transactions page. Event ids come from
+// the row ("trading:statement:<reference>"), so a row imported twice keeps
+// the same id.
+
+// Header keywords used to locate each statement column.
+const STATEMENT_COLUMNS = {
+    date: ["date", "time", "completed"],
+    type: ["transaction type", "type"],
+    status: ["status", "state"],
+    amountBTC: ["amount btc", "btc amount", "amount (btc)"],
+    feeBTC: ["fee btc", "btc fee", "fee (btc)"],
+    amountFiat: [
+        ...Object.keys(FIAT_CURRENCIES).flatMap((code) => {
+            const lower = code.toLowerCase();
+            return [`amount ${lower}`, `${lower} amount`, `amount (${lower})`];
+        }),
+        "amount fiat",
+    ],
+    feeFiat: [
+        ...Object.keys(FIAT_CURRENCIES).flatMap((code) => {
+            const lower = code.toLowerCase();
+            return [`fee ${lower}`, `${lower} fee`, `fee (${lower})`];
+        }),
+        "fee fiat",
+    ],
+    btcPrice: ["btc price", "price"],
+    currency: ["currency"],
+    description: ["description", "note", "memo"],
+    reference: ["reference", "transaction id"],
+};
+
+// Stored table for each statement event type.
+const STATEMENT_EVENT_TABLES = { trade: "trading", sell: "trading", receive: "receiving", send: "sending" };
+
+// Rows in any of these states never moved funds.
+const SKIPPED_STATUSES = ["failed", "pending", "cancelled", "canceled", "reversed", "expired"];
+
+// Build a lookup from a header row to column indexes by keyword.
+const createHeaderLookup = (headerRow) => {
+    const headers = headerRow.map((cell) => cell.trim().toLowerCase());
+    return (keywords) => {
+        // Prefer exact matches so "type" does not grab "transaction type" twice.
+        const exact = headers.findIndex((header) => keywords.includes(header));
+        if (exact >= 0) return exact;
+        return headers.findIndex((header) => keywords.some((keyword) => header.includes(keyword)));
+    };
+};
+
+// Find the header row; some statements start with a title or account block.
+const findStatementHeader = (rows) =>
+    rows.findIndex((row) => {
+        const lookup = createHeaderLookup(row);
+        return lookup(STATEMENT_COLUMNS.date) >= 0 && lookup(STATEMENT_COLUMNS.amountBTC) >= 0;
+    });
+
+// Convert "-$1,234.50", "-€1.234,50", "(0.001)" or "₿0.1" to a signed
+// number, or null. Only a leading minus, after any currency sign, or
+// parentheses make it negative; a dash further in is not a sign.
+const parseSignedAmount = (str = "") => {
+    const trimmed = str.trim();
+    if (!/\d/.test(trimmed)) return null;
+    const negative =
+        /^\(.*\)$/.test(trimmed) || FIAT_NEGATIVE_PATTERN.test(trimmed) || BTC_NEGATIVE_PATTERN.test(trimmed);
+    const value = Math.abs(parseFiat(trimmed));
+    return negative ? -value : value;
+};
+
+// Build an id for a statement row from its reference column, or else from its
+// date, type and amounts as written. Identical rows get an occurrence suffix,
+// as table rows do.
+const createStatementIdFactory = () => {
+    const seen = new Map();
+    return (tableName, parts) => {
+        const base = `${tableName}:statement:${parts.map((part) => part.trim()).join("|")}`;
+        const count = seen.get(base) ?? 0;
+        seen.set(base, count + 1);
+        return `${base}#${count}`;
+    };
+};
+
+// The statement's fiat currency, from a currency column or the fiat amount
+// header ("Amount EUR"), or null when neither names one.
+const detectStatementCurrency = (rows, headerRow, columns) => {
+    if (columns.currency >= 0) {
+        const code = rows.map((row) => detectFiatCurrency(row[columns.currency] ?? "")).find(Boolean);
+        if (code) return code;
+    }
+    return columns.amountFiat >= 0 ? detectFiatCurrency(headerRow[columns.amountFiat]) : null;
+};
+
+// Parse a statement timestamp. Strike labels the column "(UTC)", so values
+// without an explicit zone are read as UTC rather than local time.
+const parseStatementDate = (str = "") => {
+    const text = str.trim();
+    if (!text) return null;
+
+    const hasZone = /(z|utc|gmt|[+-]\d{2}:?\d{2})$/i.test(text);
+    let candidate = text;
+    if (!hasZone) {
+        candidate = /^\d{4}-\d{2}-\d{2}[ T]\d/.test(text)
+            ? `${text.replace(" ", "T")}Z`
+            : `${text} UTC`;
+    }
+
+    const parsed = Date.parse(candidate);
+    if (!Number.isNaN(parsed)) return new Date(parsed);
+    const fallback = Date.parse(text);
+    return Number.isNaN(fallback) ? null : new Date(fallback);
+};
+
+// Decide what a statement row represents from its signed BTC and fiat legs,
+// falling back to the transaction type when amounts are unsigned.
+const classifyStatementRow = (type, amountBTC, amountFiat) => {
+    const label = type.toLowerCase();
+    const hasFiatLeg = Number.isFinite(amountFiat) && amountFiat !== 0;
+
+    if (/sell/.test(label)) return "sell";
+    if (/buy|purchase/.test(label)) return "trade";
+    if (hasFiatLeg && amountBTC > 0 && amountFiat < 0) return "trade";
+    if (hasFiatLeg && amountBTC < 0 && amountFiat > 0) return "sell";
+    if (/receive|deposit|incoming|reward/.test(label)) return "receive";
+    if (/send|withdraw|outgoing|payment/.test(label)) return "send";
+    if (/trade|exchange/.test(label)) return amountBTC < 0 ? "sell" : "trade";
+    if (amountBTC > 0) return "receive";
+    if (amountBTC < 0) return "send";
+    return null;
+};
+
+// Parse statement CSV text into event lists plus the detected fiat currency.
+// Transfers carry the statement's BTC price when it has one; otherwise
+// `entryPrice` is null and the caller is expected to price them.
+const parseStrikeStatement = (text) => {
+    const rows = parseCSV(text);
+    const headerIndex = findStatementHeader(rows);
+    if (headerIndex < 0) {
+        throw new Error("Could not find a statement header with date and BTC amount columns");
+    }
+
+    const headerRow = rows[headerIndex];
+    const lookup = createHeaderLookup(headerRow);
+    const columns = Object.fromEntries(
+        Object.entries(STATEMENT_COLUMNS).map(([key, keywords]) => [key, lookup(keywords)])
+    );
+    // The fee columns would otherwise match the plain amount keywords.
+    if (columns.feeBTC === columns.amountBTC) columns.feeBTC = -1;
+    if (columns.feeFiat === columns.amountFiat) columns.feeFiat = -1;
+
+    const cell = (row, key) => (columns[key] >= 0 ? row[columns[key]] ?? "" : "");
+    const createId = createStatementIdFactory();
+    const rowIdParts = (row) =>
+        cell(row, "reference").trim()
+            ? [cell(row, "reference")]
+            : [cell(row, "date"), cell(row, "type"), cell(row, "amountBTC"), cell(row, "amountFiat")];
+
+    const tradeEvents = [];
+    const receiveEvents = [];
+    const sendEvents = [];
+    let skipped = 0;
+
+    rows.slice(headerIndex + 1).forEach((row) => {
+        const status = cell(row, "status").trim().toLowerCase();
+        if (SKIPPED_STATUSES.includes(status)) {
+            skipped += 1;
+            return;
+        }
+
+        const amountBTC = parseSignedAmount(cell(row, "amountBTC"));
+        if (!amountBTC) {
+            // Fiat-only rows (bank deposits, withdrawals) do not touch holdings.
+            skipped += 1;
+            return;
+        }
+
+        const amountFiat = parseSignedAmount(cell(row, "amountFiat"));
+        const feeBTC = Math.abs(parseSignedAmount(cell(row, "feeBTC")) ?? 0);
+        const feeFiat = Math.abs(parseSignedAmount(cell(row, "feeFiat")) ?? 0);
+        const statementPrice = Math.abs(parseSignedAmount(cell(row, "btcPrice")) ?? 0) || null;
+        const timestamp = parseStatementDate(cell(row, "date"));
+        const kind = classifyStatementRow(cell(row, "type"), amountBTC, amountFiat);
+        // Transfer notes feed the automatic classification rules.
+        const note = (cell(row, "description") || cell(row, "type")).trim();
+        const btc = Math.abs(amountBTC);
+        const fiat = Math.abs(amountFiat ?? 0);
+        const id = STATEMENT_EVENT_TABLES[kind] ? createId(STATEMENT_EVENT_TABLES[kind], rowIdParts(row)) : null;
+
+        if (kind === "trade" || kind === "sell") {
+            const ratio = fiat ? fiat / btc : null;
+            const price = ratio ?? statementPrice ?? 0;
+            const priceSource = ratio ? "ratio" : statementPrice ? "statement" : "missing";
+            // Trading fees charged in BTC are valued at the trade price.
+            const tradeFee = feeFiat || feeBTC * price;
+
+            tradeEvents.push(
+                kind === "sell"
+                    ? {
+                        id,
+                        type: "sell",
+                        timestamp,
+                        amountBTC: -btc,
+                        exitPrice: price,
+                        priceSource,
+                        proceedsUSD: fiat || price * btc,
+                        feeFiat: tradeFee,
+                    }
+                    : {
+                        id,
+                        type: "trade",
+                        timestamp,
+                        amountBTC: btc,
+                        entryPrice: price,
+                        priceSource,
+                        feeFiat: tradeFee,
+                    }
+            );
+        } else if (kind === "receive") {
+            receiveEvents.push({
+                id,
+                type: "receive",
+                timestamp,
+                amountBTC: btc,
+                entryPrice: statementPrice,
+                priceSource: statementPrice ? "statement" : null,
+                note,
+            });
+        } else if (kind === "send") {
+            sendEvents.push({
+                id,
+                type: "send",
+                timestamp,
+                amountBTC: -btc,
+                feeBTC,
+                entryPrice: statementPrice,
+                priceSource: statementPrice ? "statement" : null,
+                note,
+            });
+        } else {
+            skipped += 1;
+        }
+    });
+
+    const currency = detectStatementCurrency(rows.slice(headerIndex + 1), headerRow, columns);
+    return { tradeEvents, receiveEvents, sendEvents, skipped, currency };
+};
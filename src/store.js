@@ -0,0 +1,106 @@
+// Persistent transaction store: parsed events from each Strike table are kept
+// in extension storage, keyed by a stable row identity, so later visits only
+// need to parse rows newer than the last ones seen.
+
+const TRANSACTION_STORE_KEY = "transactionStore";
+// Stores from an older version are discarded and rebuilt. Version 2 records
+// trade fees and keeps send network fees apart from the sent amount.
+const TRANSACTION_STORE_VERSION = 2;
+const TRANSACTION_TABLES = ["trading", "receiving", "sending"];
+
+// An empty table entry. `complete` is only set once a sync has reached the
+// oldest row, which is what makes stopping early at known rows safe. `source`
+// records whether the events were read from the tab's rows ("dom") or from
+// Strike's API responses ("api").
+const createEmptyTableStore = () => ({ events: new Map(), complete: false, syncedAt: null, source: null });
+
+// Besides the tables, the store records the fiat currency its prices are in so
+// a change of account currency can start over instead of mixing currencies.
+const createEmptyTransactionStore = () => ({
+    ...Object.fromEntries(TRANSACTION_TABLES.map((name) => [name, createEmptyTableStore()])),
+    fiatCurrency: null,
+});
+
+// Dates do not survive storage, so timestamps are kept as ISO strings.
+const serializeStoredEvent = (event) => ({
+    ...event,
+    timestamp: event.timestamp ? event.timestamp.toISOString() : null,
+});
+
+const deserializeStoredEvent = (event) => {
+    const time = event.timestamp ? Date.parse(event.timestamp) : NaN;
+    return { ...event, timestamp: Number.isNaN(time) ? null : new Date(time) };
+};
+
+// Load the store, starting fresh when it is missing or from another version.
+const loadTransactionStore = async () => {
+    const store = createEmptyTransactionStore();
+    try {
+        const { [TRANSACTION_STORE_KEY]: saved } = await browser.storage.local.get(TRANSACTION_STORE_KEY);
+        if (saved?.version !== TRANSACTION_STORE_VERSION) return store;
+        store.fiatCurrency = saved.fiatCurrency ?? null;
+
+        TRANSACTION_TABLES.forEach((name) => {
+            const table = saved.tables?.[name];
+            if (!table) return;
+            (table.events ?? []).forEach((event) => {
+                if (event?.id) store[name].events.set(event.id, deserializeStoredEvent(event));
+            });
+            store[name].complete = Boolean(table.complete);
+            store[name].syncedAt = table.syncedAt ?? null;
+            // Tables saved before API capture existed were read from the rows.
+            store[name].source = table.source ?? "dom";
+        });
+    } catch (error) {
+        warn("Failed to load transaction store:", error);
+    }
+    return store;
+};
+
+const saveTransactionStore = async (store) => {
+    const tables = Object.fromEntries(
+        TRANSACTION_TABLES.map((name) => [
+            name,
+            {
+                events: [...store[name].events.values()].map(serializeStoredEvent),
+                complete: store[name].complete,
+                syncedAt: store[name].syncedAt,
+                source: store[name].source,
+            },
+        ])
+    );
+
+    try {
+        await browser.storage.local.set({
+            [TRANSACTION_STORE_KEY]: {
+                version: TRANSACTION_STORE_VERSION,
+                fiatCurrency: store.fiatCurrency,
+                tables,
+            },
+        });
+    } catch (error) {
+        warn("Failed to save transaction store:", error);
+    }
+};
+
+const clearTransactionStore = async () => {
+    try {
+        await browser.storage.local.remove(TRANSACTION_STORE_KEY);
+    } catch (error) {
+        warn("Failed to clear transaction store:", error);
+    }
+};
+
+// Switch a table to another source. Row keys and API ids never match, so the
+// table starts over rather than holding each transaction twice.
+const setTableSource = (tableStore, source) => {
+    if (tableStore.source === source) return;
+    if (tableStore.source) {
+        tableStore.events.clear();
+        tableStore.complete = false;
+    }
+    tableStore.source = source;
+};
+
+// Return the stored events of a table as an array.
+const getStoredEvents = (store, name) => [...store[name].events.values()];
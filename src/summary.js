@@ -0,0 +1,237 @@
+// Turns normalized trade, receive and send events into the holdings and profit
+// summary shown in the banner.
+//
+// Fees: a trade's `feeFiat` is added to the basis of a buy and taken off the
+// proceeds of a sell. A send's `feeBTC` (the network fee, not part of its
+// `amountBTC`) is disposed of separately as a "fee" event valued at the send's
+// price, so it shows up as its own small disposal.
+//
+// Transfers may carry a `category` from classifyTransfers (see transfers.js):
+// self-transfers leave holdings and basis alone, income is acquired at fair
+// value and tallied, and sent gifts and spends are disposals at fair value.
+// Uncategorized receives are purchases and uncategorized sends withdrawals.
+//
+// External events are buys and sells entered by hand for BTC held outside
+// Strike (see external.js); they are processed like trades but counted on
+// their own line of the holdings breakdown.
+
+// Order events by time, processing inbound before outbound when timestamps
+// match.
+const compareEvents = (a, b) => {
+    const aTime = a.timestamp?.getTime() ?? 0;
+    const bTime = b.timestamp?.getTime() ?? 0;
+    if (aTime === bTime) {
+        const aAmount = a.amountBTC ?? 0;
+        const bAmount = b.amountBTC ?? 0;
+        return bAmount - aAmount;
+    }
+    return aTime - bTime;
+};
+
+// The disposal event for a send's network fee, or null when it has none.
+const createNetworkFeeEvent = (send) =>
+    send.feeBTC > 0
+        ? {
+            type: "fee",
+            timestamp: send.timestamp ?? null,
+            amountBTC: -send.feeBTC,
+            exitPrice: send.entryPrice ?? 0,
+            priceSource: send.priceSource,
+            send,
+        }
+        : null;
+
+// Fees paid across all events, in fiat and BTC. Trading fees are converted to
+// BTC at the trade price and network fees to fiat at the send price.
+const summarizeFees = (tradeEvents, sendEvents) => {
+    const tradingFiat = tradeEvents.reduce((sum, event) => sum + (event.feeFiat || 0), 0);
+    const tradingBTC = tradeEvents.reduce((sum, event) => {
+        const price = event.type === "sell" ? event.exitPrice : event.entryPrice;
+        return sum + (event.feeFiat && price ? event.feeFiat / price : 0);
+    }, 0);
+    const networkBTC = sendEvents.reduce((sum, event) => sum + (event.feeBTC || 0), 0);
+    const networkFiat = sendEvents.reduce((sum, event) => sum + (event.feeBTC || 0) * (event.entryPrice || 0), 0);
+    return {
+        tradingFiat,
+        tradingBTC,
+        networkFiat,
+        networkBTC,
+        totalFiat: tradingFiat + networkFiat,
+        totalBTC: tradingBTC + networkBTC,
+    };
+};
+
+// Build a summary of holdings and profit using the provided events, matching
+// disposals to acquisition lots with the given cost-basis method.
+const buildSummary = (
+    currentPrice,
+    { tradeEvents = [], receiveEvents = [], sendEvents = [], externalEvents = [] },
+    { method = DEFAULT_COST_BASIS_METHOD } = {}
+) => {
+    const allEvents = [...tradeEvents, ...receiveEvents, ...sendEvents, ...externalEvents]
+        .filter((event) => Number.isFinite(event.amountBTC) && event.amountBTC !== 0)
+        .sort(compareEvents);
+    // Network fees are processed as events of their own but are not part of
+    // the exported ledger, where they stay on their send.
+    const processedEvents = [...allEvents, ...sendEvents.map(createNetworkFeeEvent).filter(Boolean)].sort(
+        compareEvents
+    );
+
+    const ledger = createLotLedger(method);
+    let holdingsBTC = 0;
+    // Sells, network fees, gifts and spends realize a gain against the basis
+    // they remove; withdrawals only move BTC out.
+    const disposals = [];
+    // Map acquisition events to their lots so rows can show what remains open.
+    const lotsByEvent = new Map();
+    // Holdings and basis after each event, in processing order, for the value
+    // chart and the ledger. The basis is tallied as lots are added and
+    // consumed rather than re-summed each time.
+    const timeline = [];
+    let runningBasis = 0;
+
+    processedEvents.forEach((event) => {
+        // Self-transferred coins stay yours, so only their network fee (a
+        // separate event) leaves the ledger.
+        const amount = event.category === "self" ? 0 : event.amountBTC;
+        if (amount > 0) {
+            holdingsBTC += amount;
+            const lot = ledger.acquire(event, amount, (event.entryPrice ?? 0) + (event.feeFiat || 0) / amount);
+            if (lot) {
+                lotsByEvent.set(event, lot);
+                runningBasis += lot.originalBTC * lot.unitCost;
+            }
+        } else if (amount < 0) {
+            const amountAbs = Math.abs(amount);
+            const { basisUSD: reduction, matched } = ledger.dispose(amountAbs);
+            holdingsBTC -= amountAbs;
+            runningBasis = Math.max(0, runningBasis - reduction);
+
+            if (event.type === "sell" || event.type === "fee" || isTransferDisposal(event)) {
+                const grossUSD = event.proceedsUSD ?? (event.exitPrice ?? event.entryPrice ?? 0) * amountAbs;
+                const proceedsUSD = grossUSD - (event.feeFiat || 0);
+                disposals.push({
+                    event,
+                    proceedsUSD,
+                    basisUSD: reduction,
+                    gainUSD: proceedsUSD - reduction,
+                    lots: matched.map(({ acquiredAt, amountBTC, unitCost }) => ({
+                        acquiredAt,
+                        amountBTC,
+                        unitCost,
+                    })),
+                });
+            }
+        }
+
+        timeline.push({
+            event,
+            timestamp: event.timestamp ?? null,
+            type: event.type,
+            amountBTC: event.amountBTC,
+            holdingsBTC,
+            basisUSD: runningBasis,
+        });
+    });
+
+    // Drop lots that were fully consumed after they were recorded.
+    lotsByEvent.forEach((lot, event) => {
+        if (ledger.findLot(event) !== lot) lotsByEvent.delete(event);
+    });
+
+    const basisUSD = ledger.basisUSD();
+    const currentValue = holdingsBTC * currentPrice;
+    const unrealizedProfit = currentValue - basisUSD;
+    const unrealizedPercent = basisUSD ? (unrealizedProfit / basisUSD) * 100 : 0;
+
+    const realizedProfit = disposals.reduce((sum, entry) => sum + entry.gainUSD, 0);
+    const realizedBasis = disposals.reduce((sum, entry) => sum + entry.basisUSD, 0);
+    const realizedPercent = realizedBasis ? (realizedProfit / realizedBasis) * 100 : 0;
+
+    // Net figures combine both so selling at a gain does not look like a loss.
+    const netProfit = unrealizedProfit + realizedProfit;
+    const investedBasis = basisUSD + realizedBasis;
+    const percent = investedBasis ? (netProfit / investedBasis) * 100 : 0;
+
+    const tradesBTC = tradeEvents.reduce(
+        (sum, event) => sum + Math.max(0, event.amountBTC || 0),
+        0
+    );
+    const soldBTC = tradeEvents.reduce(
+        (sum, event) => sum + Math.abs(Math.min(0, event.amountBTC || 0)),
+        0
+    );
+    const externalBTC = externalEvents.reduce((sum, event) => sum + (event.amountBTC || 0), 0);
+    const isSelf = (event) => event.category === "self";
+    const receivedBTC = receiveEvents.filter((event) => !isSelf(event)).reduce(
+        (sum, event) => sum + Math.max(0, event.amountBTC || 0),
+        0
+    );
+    const sentBTC = sendEvents.filter((event) => !isSelf(event)).reduce(
+        (sum, event) => sum + Math.abs(Math.min(0, event.amountBTC || 0)),
+        0
+    );
+    const selfReceivedBTC = receiveEvents.filter(isSelf).reduce(
+        (sum, event) => sum + Math.abs(event.amountBTC || 0),
+        0
+    );
+    const selfSentBTC = sendEvents.filter(isSelf).reduce(
+        (sum, event) => sum + Math.abs(event.amountBTC || 0),
+        0
+    );
+    const incomeUSD = receiveEvents
+        .filter((event) => event.category === "income")
+        .reduce((sum, event) => sum + Math.abs(event.amountBTC || 0) * (event.entryPrice || 0), 0);
+    const fees = summarizeFees(tradeEvents, sendEvents);
+
+    const summary = {
+        holdingsBTC,
+        basisUSD,
+        currentValue,
+        netProfit,
+        percent,
+        unrealizedProfit,
+        unrealizedPercent,
+        realizedProfit,
+        realizedPercent,
+        realizedBasisUSD: realizedBasis,
+        disposals,
+        events: allEvents,
+        timeline,
+        currentPrice,
+        method: ledger.method,
+        openLots: ledger.openLots(),
+        lotsByEvent,
+        fees,
+        incomeUSD,
+        breakdown: {
+            tradesBTC,
+            soldBTC,
+            receivedBTC,
+            sentBTC,
+            networkFeesBTC: fees.networkBTC,
+            externalBTC,
+            selfReceivedBTC,
+            selfSentBTC,
+        },
+    };
+
+    log(
+        `Built summary (${COST_BASIS_METHODS[summary.method]}): holdings ${summary.holdingsBTC.toFixed(8)} BTC, ` +
+        `current value ${formatFiat(summary.currentValue)}, basis ${formatFiat(summary.basisUSD)}, ` +
+        `net profit ${formatFiat(summary.netProfit)} (${formatPercent(summary.percent)}), ` +
+        `realized ${formatFiat(summary.realizedProfit)}, unrealized ${formatFiat(summary.unrealizedProfit)}`
+    );
+    log(
+        `Breakdown -> trades: ${formatBTC(summary.breakdown.tradesBTC)}, ` +
+        `sold: ${formatBTC(summary.breakdown.soldBTC)}, received: ${formatBTC(summary.breakdown.receivedBTC)}, sent: ${formatBTC(summary.breakdown.sentBTC)}, ` +
+        `network fees: ${formatBTC(summary.breakdown.networkFeesBTC)}, ` +
+        `external: ${formatBTC(summary.breakdown.externalBTC)}`
+    );
+    debug(
+        `Fees -> trading ${formatFiat(fees.tradingFiat)}, network ${formatBTC(fees.networkBTC)} ` +
+        `(${formatFiat(fees.networkFiat)})`
+    );
+
+    return summary;
+};
@@ -0,0 +1,151 @@
+// Transfer classification: what each receive and send actually was, so the
+// summary can tell moves between your own wallets apart from income, gifts and
+// spending. Labels saved from the Receiving and Sending tables win; otherwise
+// a few automatic rules apply, and anything left keeps the old treatment of a
+// purchase (receives) or a plain withdrawal (sends).
+//
+// How buildSummary treats each category:
+//   self       moves between your own wallets; holdings and basis are kept
+//   purchase   acquired at the price on the receive date
+//   income     acquired at fair value on the receive date and counted as income
+//   gift       received: acquired at fair value; sent: a disposal at fair value
+//   spend      a disposal at fair value on the send date
+//   withdrawal leaves holdings and removes its basis without realizing a gain
+
+// Categories per transfer type with the labels shown in the row controls. The
+// first entry of each is the default.
+const TRANSFER_CATEGORIES = {
+    receive: { purchase: "Purchase", self: "Self-transfer", income: "Income", gift: "Gift" },
+    send: { withdrawal: "Withdrawal", self: "Self-transfer", gift: "Gift", spend: "Spend" },
+};
+
+const TRANSFER_LABELS_KEY = "transferLabels";
+
+// A send and a later receive are taken for the same coins moving between your
+// own wallets when the amounts agree to within a satoshi and the receive
+// follows within this many days.
+const SELF_TRANSFER_WINDOW_DAYS = 30;
+const SELF_TRANSFER_TOLERANCE_BTC = 0.00000001;
+
+// Receives whose note reads like a reward are classified as income.
+const INCOME_NOTE_PATTERN = /reward|interest|bonus|cashback|referral|airdrop/i;
+
+const defaultTransferCategory = (type) => Object.keys(TRANSFER_CATEGORIES[type] ?? {})[0] ?? null;
+
+const isTransferCategory = (type, category) =>
+    Object.prototype.hasOwnProperty.call(TRANSFER_CATEGORIES[type] ?? {}, category);
+
+// Sends that realize a gain or loss at their fair value.
+const isTransferDisposal = (event) => event.type === "send" && ["gift", "spend"].includes(event.category);
+
+// Read the saved labels, an object of event id to category.
+const loadTransferLabels = async () => {
+    try {
+        const { [TRANSFER_LABELS_KEY]: labels } = await browser.storage.local.get(TRANSFER_LABELS_KEY);
+        return labels && typeof labels === "object" ? labels : {};
+    } catch (error) {
+        warn("Failed to load transfer labels:", error);
+        return {};
+    }
+};
+
+// Save the category picked for one transfer, or forget it when `category` is
+// null so the automatic rules apply again.
+const saveTransferLabel = async (id, category) => {
+    const labels = await loadTransferLabels();
+    if (category) {
+        labels[id] = category;
+    } else {
+        delete labels[id];
+    }
+    try {
+        await browser.storage.local.set({ [TRANSFER_LABELS_KEY]: labels });
+    } catch (error) {
+        warn("Failed to save transfer label:", error);
+    }
+    return labels;
+};
+
+// Pair each send with the first later receive of the same amount inside the
+// matching window. Transfers in `excluded` (labelled by the user) are skipped.
+const matchSelfTransfers = (receiveEvents, sendEvents, excluded) => {
+    const timeOf = (event) => event.timestamp?.getTime() ?? null;
+    const receives = receiveEvents
+        .filter((event) => !excluded.has(event) && timeOf(event) != null)
+        .sort((a, b) => timeOf(a) - timeOf(b));
+    const matched = new Set();
+
+    sendEvents
+        .filter((event) => !excluded.has(event) && timeOf(event) != null)
+        .sort((a, b) => timeOf(a) - timeOf(b))
+        .forEach((send) => {
+            const sentAt = timeOf(send);
+            const receive = receives.find(
+                (event) =>
+                    !matched.has(event) &&
+                    timeOf(event) >= sentAt &&
+                    timeOf(event) - sentAt <= SELF_TRANSFER_WINDOW_DAYS * DAY_MS &&
+                    Math.abs(Math.abs(event.amountBTC) - Math.abs(send.amountBTC)) <= SELF_TRANSFER_TOLERANCE_BTC
+            );
+            if (!receive) return;
+            matched.add(send);
+            matched.add(receive);
+        });
+
+    return matched;
+};
+
+// Classify every transfer. Returns copies of the events carrying `category`
+// and `categorySource` ("saved", "auto" or "default"); the originals are left
+// as stored.
+const classifyTransfers = (receiveEvents = [], sendEvents = [], labels = {}) => {
+    const saved = new Map();
+    [...receiveEvents, ...sendEvents].forEach((event) => {
+        const category = event.id ? labels[event.id] : null;
+        if (isTransferCategory(event.type, category)) saved.set(event, category);
+    });
+    const selfTransfers = matchSelfTransfers(receiveEvents, sendEvents, saved);
+
+    const classify = (event) => {
+        if (saved.has(event)) return { ...event, category: saved.get(event), categorySource: "saved" };
+        if (selfTransfers.has(event)) return { ...event, category: "self", categorySource: "auto" };
+        if (event.type === "receive" && INCOME_NOTE_PATTERN.test(event.note ?? "")) {
+            return { ...event, category: "income", categorySource: "auto" };
+        }
+        return { ...event, category: defaultTransferCategory(event.type), categorySource: "default" };
+    };
+
+    const classified = { receiveEvents: receiveEvents.map(classify), sendEvents: sendEvents.map(classify) };
+    debug(
+        `Classified transfers: ${saved.size} labelled, ${selfTransfers.size} matched as self-transfers`
+    );
+    return classified;
+};
+
+// Build the category picker for a transfer row. `onChange` receives the new
+// category, or null when the user goes back to the automatic choice.
+const createTransferCategorySelect = (event, onChange) => {
+    const select = document.createElement("select");
+    select.className = "strike-profit-category";
+
+    const auto = document.createElement("option");
+    auto.value = "";
+    auto.textContent = "Auto";
+    select.appendChild(auto);
+    Object.entries(TRANSFER_CATEGORIES[event.type] ?? {}).forEach(([value, text]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    });
+
+    // Show what "Auto" currently resolves to.
+    if (event.categorySource === "saved") {
+        select.value = event.category;
+    } else {
+        auto.textContent = `Auto (${TRANSFER_CATEGORIES[event.type]?.[event.category] ?? "?"})`;
+        select.value = "";
+    }
+    select.addEventListener("change", () => onChange(select.value || null));
+    return select;
+};
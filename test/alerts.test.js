@@ -0,0 +1,45 @@
+// Runs the alert rule evaluation in src/alerts.js, loaded into a vm context the
+// way api.test.js loads the API parser.
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { test } = require("node:test");
+const vm = require("node:vm");
+
+const context = vm.createContext({ console });
+vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "src", "alerts.js"), "utf8"), context, {
+    filename: "alerts.js",
+});
+const { evaluateAlertRules } = vm.runInContext("({ evaluateAlertRules })", context);
+
+const rule = { id: "r1", metric: "price", direction: "above", threshold: 100000, enabled: true };
+
+// Evaluate `rule` against each price in turn and return the prices it fired at.
+const firedAt = (prices, state = {}) =>
+    prices.filter((price) => {
+        const result = evaluateAlertRules([rule], { price }, state);
+        state = result.nextState;
+        return result.fired.length > 0;
+    });
+
+test("a new rule already past its threshold waits for a crossing", () => {
+    assert.deepEqual(firedAt([105000, 106000]), []);
+    assert.deepEqual(firedAt([105000, 98000, 101000]), [101000]);
+});
+
+test("a new rule below its threshold fires when the price crosses it", () => {
+    assert.deepEqual(firedAt([95000, 101000, 102000]), [101000]);
+});
+
+test("a fired rule re-arms only past the margin", () => {
+    assert.deepEqual(firedAt([95000, 101000, 99500, 101000, 98000, 101000]), [101000, 101000]);
+});
+
+test("a rule without its metric keeps its state and none is made up for it", () => {
+    const summaryRule = { ...rule, id: "r2", metric: "netProfit" };
+    const { nextState } = evaluateAlertRules([summaryRule], { price: 50000 }, {});
+    assert.equal(nextState.r2, undefined);
+    const kept = evaluateAlertRules([summaryRule], { price: 50000 }, { r2: { armed: false } });
+    assert.equal(kept.nextState.r2.armed, false);
+});
@@ -0,0 +1,227 @@
+// Runs the API response parser in src/api.js against the list responses in
+// fixtures/api. The extension's scripts are classic scripts sharing one global
+// scope, so they are loaded the same way into a vm context.
+//
+// The fixtures are hand-written in the shapes the parser accepts (Relay-style
+// edges, `items` with cursors, Strike's statement type names), with made-up
+// ids and amounts. Replace or add to them when a Strike response turns up that
+// the parser gets wrong.
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { test } = require("node:test");
+const vm = require("node:vm");
+
+const SRC = path.join(__dirname, "..", "src");
+const FIXTURES = path.join(__dirname, "fixtures", "api");
+const SCRIPTS = ["settings.js", "common.js", "prices.js", "store.js", "statement.js", "api.js"];
+
+// Historical prices the background script answers with, by minute start.
+const HISTORICAL_PRICES = { [Date.parse("2024-04-01T10:00:00.000Z")]: 70000 };
+
+const context = vm.createContext({
+    console,
+    URL,
+    Intl,
+    location: { href: "https://dashboard.strike.me/transactions" },
+    browser: {
+        runtime: {
+            sendMessage: async ({ type, timestamps }) =>
+                type === "GET_HISTORICAL_BTC_PRICES"
+                    ? { prices: Object.fromEntries(timestamps.map((time) => [time, HISTORICAL_PRICES[time] ?? null])) }
+                    : { error: true },
+        },
+    },
+});
+SCRIPTS.forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(SRC, file), "utf8"), context, { filename: file });
+});
+const api = vm.runInContext(
+    `({
+        parseApiTransactions,
+        collectApiTransactions,
+        findApiItems,
+        isLastApiPage,
+        getApiListKey,
+        capturedApiResponses,
+        priceTrades,
+    })`,
+    context
+);
+
+// Ids of events built in the vm context, as an array of this realm so deep
+// comparisons do not trip over the other realm's Array prototype.
+const ids = (events) => Array.from(events, (event) => event.id);
+
+const fixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), "utf8"));
+
+// Capture the given responses, by URL, and collect them.
+const collect = (responses) => {
+    api.capturedApiResponses.clear();
+    Object.entries(responses).forEach(([url, body]) => api.capturedApiResponses.set(url, body));
+    return api.collectApiTransactions("USD");
+};
+
+const ACTIVITY = "https://api.strike.me/v1/activity?pageSize=2";
+const activityPages = {
+    [ACTIVITY]: fixture("activity-page-1"),
+    [`${ACTIVITY}&cursor=cursor-page-2`]: fixture("activity-page-2"),
+    [`${ACTIVITY}&cursor=cursor-page-3`]: fixture("activity-page-3"),
+};
+
+test("parses a trading page into buys and sells", () => {
+    const parsed = api.parseApiTransactions(fixture("trades"), "USD");
+
+    assert.equal(parsed.lastPage, true);
+    assert.equal(parsed.receiving.length, 0);
+    assert.equal(parsed.sending.length, 0);
+    assert.equal(parsed.trading.length, 2, "the pending trade is skipped");
+
+    const [buy, sell] = parsed.trading;
+    assert.equal(buy.id, "trading:api:0c1f6a52-trade-buy");
+    assert.equal(buy.type, "trade");
+    assert.equal(buy.amountBTC, 0.01);
+    assert.equal(buy.entryPrice, 50000);
+    assert.equal(buy.priceSource, "ratio");
+    assert.equal(buy.feeFiat, 2);
+    assert.equal(buy.timestamp.toISOString(), "2024-01-01T10:00:00.000Z");
+
+    assert.equal(sell.id, "trading:api:5e93b0d7-trade-sell");
+    assert.equal(sell.type, "sell");
+    assert.equal(sell.amountBTC, -0.004);
+    assert.equal(sell.exitPrice, 60000);
+    assert.equal(sell.proceedsUSD, 240);
+    assert.ok(Math.abs(sell.feeFiat - 0.6) < 1e-9, "a BTC fee is valued at the trade price");
+});
+
+test("parses receives and sends with their fees and notes", () => {
+    const parsed = api.parseApiTransactions(fixture("transfers"), "USD");
+
+    assert.equal(parsed.lastPage, true);
+    assert.equal(parsed.trading.length, 0);
+
+    assert.equal(parsed.receiving.length, 1, "the fiat deposit is not a BTC receive");
+    const [receive] = parsed.receiving;
+    assert.equal(receive.id, "receiving:api:7b2c-receive-onchain");
+    assert.equal(receive.amountBTC, 0.002);
+    assert.equal(receive.entryPrice, null);
+    assert.equal(receive.note, "Referral bonus");
+    assert.equal(receive.timestamp.toISOString(), "2024-02-01T10:00:00.000Z", "epoch seconds");
+
+    assert.equal(parsed.sending.length, 1, "the failed send is skipped");
+    const [send] = parsed.sending;
+    assert.equal(send.id, "sending:api:9d4e-send-onchain");
+    assert.equal(send.amountBTC, -0.001);
+    assert.equal(send.feeBTC, 0.0001);
+    assert.equal(send.timestamp.toISOString(), "2024-03-01T10:00:00.000Z", "epoch milliseconds");
+});
+
+test("reads every page of a multi-page list and finds its last page", () => {
+    const pages = ["activity-page-1", "activity-page-2", "activity-page-3"].map(fixture);
+    assert.deepEqual(
+        pages.map((body) => api.isLastApiPage(body)),
+        [false, false, true]
+    );
+    assert.deepEqual(
+        pages.map((body) => api.findApiItems(body).length),
+        [2, 2, 1]
+    );
+
+    const [first, second] = pages.map((body) => api.parseApiTransactions(body, "USD"));
+    assert.equal(first.trading[0].id, "trading:api:act-0001");
+    assert.equal(first.trading[0].entryPrice, 62500);
+    assert.equal(first.receiving[0].amountBTC, 0.0005);
+    assert.equal(second.sending[0].feeBTC, 0.000005);
+    assert.equal(second.trading[0].type, "sell");
+    assert.equal(second.trading[0].exitPrice, 52000);
+});
+
+test("keys pages of one list alike and keeps filters in the key", () => {
+    assert.equal(api.getApiListKey(`${ACTIVITY}&cursor=abc`), "https://api.strike.me/v1/activity?");
+    assert.equal(
+        api.getApiListKey("https://api.strike.me/v1/activity?type=receive&offset=20"),
+        "https://api.strike.me/v1/activity?type=receive"
+    );
+});
+
+test("a list captured from its first page to its last is complete", () => {
+    const collected = collect(activityPages);
+
+    assert.deepEqual(ids(collected.trading.events), [
+        "trading:api:act-0001",
+        "trading:api:act-0004",
+        "trading:api:act-0005",
+    ]);
+    assert.deepEqual(ids(collected.receiving.events), ["receiving:api:act-0002"]);
+    assert.deepEqual(ids(collected.sending.events), ["sending:api:act-0003"]);
+    assert.equal(collected.trading.complete, true);
+    assert.equal(collected.receiving.complete, true);
+    assert.equal(collected.sending.complete, true);
+});
+
+test("a list with a missing page is not complete", () => {
+    const { [`${ACTIVITY}&cursor=cursor-page-2`]: dropped, ...withGap } = activityPages;
+    const collected = collect(withGap);
+    assert.equal(collected.trading.events.length, 2);
+    assert.equal(collected.trading.complete, false);
+    assert.equal(collected.sending.complete, false);
+});
+
+test("a list without its first page is not complete", () => {
+    const { [ACTIVITY]: dropped, ...withoutFirst } = activityPages;
+    assert.equal(collect(withoutFirst).trading.complete, false);
+});
+
+test("a filtered list is not complete", () => {
+    const filtered = Object.fromEntries(
+        Object.entries(activityPages).map(([url, body]) => [`${url}&from=2024-02-01`, body])
+    );
+    const collected = collect(filtered);
+    assert.equal(collected.trading.events.length, 3, "its events are still collected");
+    assert.equal(collected.trading.complete, false);
+});
+
+test("offset pages must follow on from the previous page's items", () => {
+    const bodies = ["activity-page-1", "activity-page-2", "activity-page-3"].map((name, index) => ({
+        items: fixture(name).items,
+        hasMore: index < 2,
+    }));
+    const url = "https://api.strike.me/v1/activity?limit=2&offset=";
+
+    const all = { [`${url}0`]: bodies[0], [`${url}2`]: bodies[1], [`${url}4`]: bodies[2] };
+    assert.equal(collect(all).trading.complete, true);
+    assert.equal(collect({ [`${url}0`]: bodies[0], [`${url}4`]: bodies[2] }).trading.complete, false);
+});
+
+test("a single-page list completes only its own tables", () => {
+    const collected = collect({ "https://api.strike.me/v1/trades": fixture("trades") });
+    assert.equal(collected.trading.complete, true);
+    assert.equal(collected.receiving.complete, false);
+    assert.equal(collected.sending.complete, false);
+});
+
+test("a trade without a fiat leg is priced from the historical candle at its time", async () => {
+    const trade = (id, completed) => ({
+        id,
+        type: "Trade",
+        state: "COMPLETED",
+        completed,
+        bought: { amount: "0.01", currency: "BTC" },
+        fee: { amount: "0.0001", currency: "BTC" },
+    });
+    const parsed = api.parseApiTransactions(
+        [trade("no-fiat", "2024-04-01T10:00:30.000Z"), trade("no-candle", "2024-04-02T10:00:00.000Z")],
+        "USD"
+    );
+    const [priced, unpriced] = parsed.trading;
+    assert.equal(priced.priceSource, "missing");
+    assert.equal(priced.entryPrice, 0);
+    assert.equal(priced.feeBTC, 0.0001);
+
+    assert.equal(await api.priceTrades(parsed.trading), 1);
+    assert.equal(priced.priceSource, "historical");
+    assert.equal(priced.entryPrice, 70000);
+    assert.ok(Math.abs(priced.feeFiat - 7) < 1e-9, "the BTC fee is valued at the historical price");
+    assert.equal(unpriced.priceSource, "missing", "a minute without a candle stays unpriced");
+});
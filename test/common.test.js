@@ -0,0 +1,54 @@
+// Runs the amount parsing and formatting helpers in src/common.js, loaded into
+// a vm context the way api.test.js loads the API parser.
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { test } = require("node:test");
+const vm = require("node:vm");
+
+const SRC = path.join(__dirname, "..", "src");
+
+const context = vm.createContext({ console, Intl });
+["settings.js", "common.js"].forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(SRC, file), "utf8"), context, { filename: file });
+});
+const common = vm.runInContext("({ parseFiat, parseBTC, formatFiat, setFiatCurrency })", context);
+
+test("reads fiat separators by the currency in the text", () => {
+    assert.equal(common.parseFiat("$1,234.50"), 1234.5);
+    assert.equal(common.parseFiat("€1.234,50"), 1234.5);
+    assert.equal(common.parseFiat("€1.234"), 1234);
+    assert.equal(common.parseFiat("$1.234"), 1.234);
+    assert.equal(common.parseFiat("1,234"), 1234, "without a currency a comma groups thousands");
+    assert.equal(common.parseFiat("$0,123"), 0.123, "no thousands separator follows a zero");
+});
+
+test("only a leading minus makes a fiat amount negative", () => {
+    assert.equal(common.parseFiat("-€1.234,50"), -1234.5);
+    assert.equal(common.parseFiat("€-5"), -5);
+    assert.equal(common.parseFiat("USD -5"), -5);
+    assert.equal(common.parseFiat("$5 - fee"), 5);
+});
+
+test("reads BTC amounts with either decimal separator", () => {
+    common.setFiatCurrency("USD");
+    assert.equal(common.parseBTC("₿0.001"), 0.001);
+    assert.equal(common.parseBTC("₿0,001"), 0.001);
+    assert.equal(common.parseBTC("₿0,00012345"), 0.00012345);
+    assert.equal(common.parseBTC("₿1,234.5"), 1234.5);
+    assert.equal(common.parseBTC("-₿0.1"), -0.1);
+    assert.equal(common.parseBTC("0.1 BTC"), 0.1);
+    assert.equal(common.parseBTC(), 0);
+
+    common.setFiatCurrency("EUR");
+    assert.equal(common.parseBTC("₿1,234"), 1.234, "a lone separator follows the account currency");
+    common.setFiatCurrency("USD");
+});
+
+test("formats fiat by the currency's own convention", () => {
+    assert.equal(common.formatFiat(1234.5, "USD"), "$1,234.50");
+    assert.equal(common.formatFiat(1234.5, "GBP"), "£1,234.50");
+    assert.equal(common.formatFiat(1234.5, "EUR").replace(/\s/g, " "), "1.234,50 €");
+    assert.equal(common.formatFiat(-0.001, "USD"), "$0.00");
+});
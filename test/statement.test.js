@@ -0,0 +1,63 @@
+// Runs the statement CSV parser in src/statement.js, loaded into a vm context
+// the way api.test.js loads the API parser.
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { test } = require("node:test");
+const vm = require("node:vm");
+
+const SRC = path.join(__dirname, "..", "src");
+
+const context = vm.createContext({ console, Intl });
+["settings.js", "common.js", "csv.js", "statement.js"].forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(SRC, file), "utf8"), context, { filename: file });
+});
+const statement = vm.runInContext("({ parseSignedAmount, parseStrikeStatement })", context);
+
+const ids = (events) => Array.from(events, (event) => event.id);
+
+const STATEMENT = [
+    "Date (UTC),Transaction Type,State,Amount USD,Amount BTC,Fee BTC,Description",
+    "2024-01-01 10:00:00,Trade,Completed,-500.00,0.01,,",
+    "2024-01-01 10:00:00,Trade,Completed,-500.00,0.01,,",
+    "2024-02-01 10:00:00,Receive,Completed,,0.002,,Pay-day bonus",
+    "2024-03-01 10:00:00,Send,Completed,,-0.001,0.0001,",
+].join("\n");
+
+test("only a leading sign or parentheses make an amount negative", () => {
+    assert.equal(statement.parseSignedAmount("-$1,234.50"), -1234.5);
+    assert.equal(statement.parseSignedAmount("€-5"), -5);
+    assert.equal(statement.parseSignedAmount("(0.001)"), -0.001);
+    assert.equal(statement.parseSignedAmount("-₿0.1"), -0.1);
+    assert.equal(statement.parseSignedAmount("₿-0.1"), -0.1);
+    assert.equal(statement.parseSignedAmount("0.1 BTC - fee included"), 0.1, "a dash further in is not a sign");
+    assert.equal(statement.parseSignedAmount(""), null);
+});
+
+test("statement rows get ids that stay the same between imports", () => {
+    const first = statement.parseStrikeStatement(STATEMENT);
+    const second = statement.parseStrikeStatement(STATEMENT);
+
+    assert.equal(first.tradeEvents.length, 2);
+    const [buy, repeat] = ids(first.tradeEvents);
+    assert.match(buy, /^trading:statement:/);
+    assert.notEqual(buy, repeat, "identical rows stay distinct");
+    assert.deepEqual(ids(second.tradeEvents), ids(first.tradeEvents));
+    assert.deepEqual(ids(second.receiveEvents), ids(first.receiveEvents));
+    assert.match(first.receiveEvents[0].id, /^receiving:statement:/);
+    assert.match(first.sendEvents[0].id, /^sending:statement:/);
+    assert.equal(first.sendEvents[0].amountBTC, -0.001);
+});
+
+test("a reference column identifies a row by itself", () => {
+    const text = [
+        "Reference,Date (UTC),Transaction Type,Amount BTC",
+        "tx-1,2024-02-01 10:00:00,Receive,0.002",
+        "tx-2,2024-02-01 10:00:00,Receive,0.002",
+    ].join("\n");
+    assert.deepEqual(ids(statement.parseStrikeStatement(text).receiveEvents), [
+        "receiving:statement:tx-1#0",
+        "receiving:statement:tx-2#0",
+    ]);
+});